@@ -3,6 +3,8 @@
  * Service worker for the Chrome extension
  */
 
+importScripts('/lib/defaults.js'); // DEFAULT_PACKS
+
 // Default trigger characters for autocomplete
 const DEFAULT_TRIGGER_CHARACTERS = [
     '.', // Method/property access
@@ -21,6 +23,29 @@ const DEFAULT_TRIGGER_CHARACTERS = [
     '\t'  // Tab
 ];
 
+// Default settings, also used to fill in settings added by later versions
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    maxSuggestions: 10,
+    minWordLength: 2,
+    maxWordLength: 1000,
+    debounceDelay: 300,
+    triggerCharacters: DEFAULT_TRIGGER_CHARACTERS,
+    fuzzyMatching: true,
+    caseInsensitive: true,
+    abbreviationMatching: true,
+    rankAddedFirst: true,
+    removedTokens: 'badge',
+    fullFileSymbols: false,
+    mentionSuggestions: true,
+    referenceSuggestions: true,
+    pathSuggestions: true,
+    pathLinks: true,
+    linePermalinks: true,
+    stopwordPacks: [...DEFAULT_PACKS],
+    stopwordEdits: {}
+};
+
 // Extension installation and update handling
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('GitHub PR AutoComplete: Extension installed/updated', details);
@@ -29,15 +54,7 @@ chrome.runtime.onInstalled.addListener((details) => {
         console.log('GitHub PR AutoComplete: First time installation');
         
         // Set default settings
-        chrome.storage.sync.set({
-            enabled: true,
-            maxSuggestions: 10,
-            minWordLength: 2,
-            debounceDelay: 300,
-            triggerCharacters: DEFAULT_TRIGGER_CHARACTERS,
-            fuzzyMatching: true,
-            caseInsensitive: true
-        });
+        chrome.storage.sync.set(DEFAULT_SETTINGS);
     }
     
     if (details.reason === 'update') {
@@ -47,14 +64,10 @@ chrome.runtime.onInstalled.addListener((details) => {
         chrome.storage.sync.get(null, (settings) => {
             const updates = {};
             
-            if (settings.triggerCharacters === undefined) {
-                updates.triggerCharacters = DEFAULT_TRIGGER_CHARACTERS;
-            }
-            if (settings.fuzzyMatching === undefined) {
-                updates.fuzzyMatching = true;
-            }
-            if (settings.caseInsensitive === undefined) {
-                updates.caseInsensitive = true;
+            for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+                if (settings[key] === undefined) {
+                    updates[key] = value;
+                }
             }
             
             if (Object.keys(updates).length > 0) {
@@ -76,27 +89,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     switch (request.action) {
         case 'getSettings':
-            // Return current settings
-            chrome.storage.sync.get([
-                'enabled',
-                'maxSuggestions', 
-                'minWordLength',
-                'debounceDelay',
-                'triggerCharacters',
-                'fuzzyMatching',
-                'caseInsensitive'
-            ], (settings) => {
+            // Return current settings, falling back to defaults for anything not stored yet
+            chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS), (settings) => {
+                const merged = { ...DEFAULT_SETTINGS };
+                for (const [key, value] of Object.entries(settings)) {
+                    if (value !== undefined && value !== null) {
+                        merged[key] = value;
+                    }
+                }
                 sendResponse({
                     success: true,
-                    settings: {
-                        enabled: settings.enabled !== false, // Default to true
-                        maxSuggestions: settings.maxSuggestions || 10,
-                        minWordLength: settings.minWordLength || 2,
-                        debounceDelay: settings.debounceDelay || 300,
-                        triggerCharacters: settings.triggerCharacters || DEFAULT_TRIGGER_CHARACTERS,
-                        fuzzyMatching: settings.fuzzyMatching !== false, // Default to true
-                        caseInsensitive: settings.caseInsensitive !== false // Default to true
-                    }
+                    settings: merged
                 });
             });
             return true; // Keep message channel open for async response
@@ -104,6 +107,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         case 'updateSettings':
             // Update settings
             chrome.storage.sync.set(request.settings, () => {
+                // e.g. a setting over sync storage's 8 KB per item quota
+                if (chrome.runtime.lastError) {
+                    console.warn('GitHub PR AutoComplete: Could not save settings', chrome.runtime.lastError);
+                    sendResponse({ success: false, error: chrome.runtime.lastError.message });
+                    return;
+                }
                 sendResponse({ success: true });
                 console.log('GitHub PR AutoComplete: Settings updated', request.settings);
             });
@@ -111,21 +120,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             
         case 'resetSettings':
             // Reset to default settings
-            const defaultSettings = {
-                enabled: true,
-                maxSuggestions: 10,
-                minWordLength: 2,
-                debounceDelay: 300,
-                triggerCharacters: DEFAULT_TRIGGER_CHARACTERS,
-                fuzzyMatching: true,
-                caseInsensitive: true
-            };
-            chrome.storage.sync.set(defaultSettings, () => {
-                sendResponse({ success: true, settings: defaultSettings });
+            chrome.storage.sync.set(DEFAULT_SETTINGS, () => {
+                sendResponse({ success: true, settings: DEFAULT_SETTINGS });
                 console.log('GitHub PR AutoComplete: Settings reset to defaults');
             });
             return true;
             
+        case 'fetchFile':
+            // Head revisions of changed files, for their declarations (see GitHubParser.fetchFileText)
+            fetchFileText(request.url, request.maxLength, request.timeout).then(sendResponse);
+            return true;
+            
         case 'getStats':
             // Could be used for analytics or debugging
             sendResponse({
@@ -141,6 +146,57 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
+/**
+ * Download a text file with the user's GitHub session, following GitHub's redirect of raw file URLs
+ * to raw.githubusercontent.com (the host permissions let the service worker read it)
+ * @param {string} url - File URL on github.com
+ * @param {number} maxLength - Bytes; larger files are skipped
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<Object>} { success, text } or { success: false, error }
+ */
+async function fetchFileText(url, maxLength, timeout) {
+    if (new URL(url).origin !== 'https://github.com') {
+        return { success: false, error: 'Not a GitHub URL' };
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+        if (!response.ok) {
+            return { success: false, error: `Status ${response.status}` };
+        }
+        if (parseInt(response.headers.get('Content-Length'), 10) > maxLength) {
+            controller.abort();
+            return { success: false, error: 'Too large' };
+        }
+
+        // The length header may be missing (compressed or chunked responses), so count while reading
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            received += value.length;
+            if (received > maxLength) {
+                controller.abort();
+                return { success: false, error: 'Too large' };
+            }
+            chunks.push(value);
+        }
+
+        const text = await new Blob(chunks).text();
+        return text.includes('\u0000') ? { success: false, error: 'Binary' } : { success: true, text };
+    } catch (error) {
+        return { success: false, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
 // Tab update handling (for GitHub page navigation)
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     // Only act on GitHub PR pages
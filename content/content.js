@@ -127,6 +127,17 @@ class AutoCompleteUI {
             }
         });
 
+        // Comment boxes wrapped in GitHub's <text-expander> open its own popup for `@` and `#`: cancel it while ours
+        // handles mentions and references
+        document.addEventListener('text-expander-change', (e) => {
+            const field = e.target.querySelector && e.target.querySelector('textarea, input');
+            const handled = e.detail && ((e.detail.key === '@' && this.engine.settings.mentionSuggestions) ||
+                (e.detail.key === '#' && this.engine.settings.referenceSuggestions));
+            if (handled && this.engine.shouldActivateFor(field)) {
+                e.preventDefault();
+            }
+        }, true);
+
         // Listen for settings updates
         if (typeof chrome !== 'undefined' && chrome.runtime) {
             chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -229,7 +240,13 @@ class AutoCompleteUI {
             return;
         }
         
-        const suggestions = this.engine.getSuggestions(value, this.engine.maxSuggestions, cursorPos);
+        // Where GitHub's own suggester can't be cancelled, step aside while it is open rather than stack popups
+        if (this.engine.getCompletionContext(value, cursorPos) && this.isNativeSuggesterOpen()) {
+            this.hideSuggestions();
+            return;
+        }
+        
+        const suggestions = this.engine.getSuggestions(value, this.engine.maxSuggestions, cursorPos, input);
 
         if (suggestions.length > 0) {
             this.showSuggestions(suggestions, input);
@@ -257,8 +274,103 @@ class AutoCompleteUI {
         suggestions.forEach((suggestion, index) => {
             const item = document.createElement('div');
             item.className = 'github-pr-autocomplete-item';
-            item.textContent = suggestion;
             item.dataset.index = index;
+            item.dataset.suggestion = suggestion;
+            
+            const participant = this.engine.getParticipant(suggestion);
+            if (participant && participant.avatarUrl) {
+                const avatar = document.createElement('img');
+                avatar.className = 'github-pr-autocomplete-avatar';
+                avatar.src = participant.avatarUrl;
+                avatar.alt = '';
+                avatar.width = 20;
+                avatar.height = 20;
+                avatar.loading = 'lazy';
+                item.appendChild(avatar);
+            }
+            
+            // Review threads are inserted as a link, so they show the file they are on rather than their anchor
+            const reference = this.engine.getReference(suggestion);
+            const wordLabel = document.createElement('span');
+            wordLabel.className = 'github-pr-autocomplete-word';
+            wordLabel.textContent = reference && reference.type === 'thread' ? (reference.path || 'review thread') : suggestion;
+            item.appendChild(wordLabel);
+            
+            // People: their name and what they do in this PR
+            if (participant) {
+                if (participant.displayName) {
+                    const nameLabel = document.createElement('span');
+                    nameLabel.className = 'github-pr-autocomplete-name';
+                    nameLabel.textContent = participant.displayName;
+                    item.appendChild(nameLabel);
+                }
+                
+                const role = this.engine.mentions.getPrimaryRole(participant);
+                if (role) {
+                    const roleBadge = document.createElement('span');
+                    roleBadge.className = 'github-pr-autocomplete-badge github-pr-autocomplete-badge-role';
+                    roleBadge.textContent = participant.type === 'team' ? `team ${role}` : role;
+                    item.appendChild(roleBadge);
+                }
+            }
+            
+            // Lines of changed files: how the diff changes them
+            const lineTarget = this.engine.getLineTarget(suggestion);
+            if (lineTarget && (lineTarget.change === 'added' || lineTarget.change === 'removed')) {
+                const changeBadge = document.createElement('span');
+                changeBadge.className = 'github-pr-autocomplete-badge github-pr-autocomplete-badge-status';
+                changeBadge.textContent = lineTarget.change;
+                item.appendChild(changeBadge);
+            }
+            
+            // Changed files: how they changed; directories: how many changed files they hold
+            const file = this.engine.getChangedFile(suggestion);
+            if (file && file.status && file.status !== 'modified') {
+                const statusBadge = document.createElement('span');
+                statusBadge.className = 'github-pr-autocomplete-badge github-pr-autocomplete-badge-status';
+                statusBadge.textContent = file.status;
+                item.appendChild(statusBadge);
+            } else if (!file && suggestion.endsWith('/') && this.engine.paths.getFileCount(suggestion) > 0) {
+                const fileCount = this.engine.paths.getFileCount(suggestion);
+                const countLabel = document.createElement('span');
+                countLabel.className = 'github-pr-autocomplete-name';
+                countLabel.textContent = `${fileCount} changed file${fileCount === 1 ? '' : 's'}`;
+                item.appendChild(countLabel);
+            }
+            
+            // Issues, PRs and review threads: their title and what they are
+            if (reference) {
+                if (reference.title) {
+                    const titleLabel = document.createElement('span');
+                    titleLabel.className = 'github-pr-autocomplete-name';
+                    titleLabel.textContent = reference.title;
+                    titleLabel.title = reference.title;
+                    item.appendChild(titleLabel);
+                }
+                
+                const typeBadge = document.createElement('span');
+                typeBadge.className = 'github-pr-autocomplete-badge github-pr-autocomplete-badge-reference';
+                typeBadge.textContent = { issue: 'issue', pull: 'pull request', thread: 'review thread' }[reference.type];
+                item.appendChild(typeBadge);
+            }
+            
+            // Mark names that only appear on deleted lines
+            if (this.engine.settings.removedTokens === 'badge' && this.engine.isRemovedOnly(suggestion)) {
+                const removedBadge = document.createElement('span');
+                removedBadge.className = 'github-pr-autocomplete-badge github-pr-autocomplete-badge-removed';
+                removedBadge.textContent = 'removed';
+                item.appendChild(removedBadge);
+            }
+            
+            // Secondary label with where the word appears, to tell similar names apart
+            const location = this.engine.getWordLocation(suggestion);
+            if (location) {
+                const locationLabel = document.createElement('span');
+                locationLabel.className = 'github-pr-autocomplete-location';
+                locationLabel.textContent = this.formatLocation(location);
+                locationLabel.title = locationLabel.textContent;
+                item.appendChild(locationLabel);
+            }
             
             // Add click handler
             item.addEventListener('click', () => {
@@ -343,6 +455,7 @@ class AutoCompleteUI {
         
         if (this.selectedIndex >= 0 && items[this.selectedIndex]) {
             items[this.selectedIndex].classList.add('selected');
+            items[this.selectedIndex].scrollIntoView({ block: 'nearest' }); // Glob lists can be longer than the box
         }
     }
 
@@ -366,9 +479,31 @@ class AutoCompleteUI {
         
         if (this.selectedIndex >= 0 && items[this.selectedIndex]) {
             items[this.selectedIndex].classList.add('selected');
+            items[this.selectedIndex].scrollIntoView({ block: 'nearest' }); // Glob lists can be longer than the box
         }
     }
 
+    /**
+     * Check if GitHub's own suggestion popup is showing
+     * @returns {boolean} True if a popup matching the selector profile's nativeSuggester is visible
+     */
+    isNativeSuggesterOpen() {
+        const selector = this.engine.parser.getSelectorProfile().nativeSuggester;
+        if (!selector) return false;
+        
+        return Array.from(document.querySelectorAll(selector))
+            .some(popup => !popup.hidden && popup.getClientRects().length > 0);
+    }
+
+    /**
+     * Format a diff location as a short label, e.g. src/net/client.ts:42
+     * @param {Object} location - { path, side, line, anchor }
+     * @returns {string} Label text
+     */
+    formatLocation(location) {
+        return location.line ? `${location.path}:${location.line}` : location.path;
+    }
+
     /**
      * Apply the selected suggestion
      */
@@ -380,37 +515,53 @@ class AutoCompleteUI {
         
         if (!selectedItem) return;
 
-        const suggestion = selectedItem.textContent;
+        // Use the stored suggestion rather than the rendered text so the original casing is inserted verbatim
+        const suggestion = selectedItem.dataset.suggestion;
         const currentValue = this.currentInput.value;
         const cursorPos = this.currentInput.selectionStart || currentValue.length;
         
-        // Get the current word being typed
-        const currentWord = this.engine.getCurrentWord(currentValue, cursorPos);
-        
-        if (!currentWord) {
-            this.hideSuggestions();
-            return;
-        }
-        
-        // Find the position of the current word
-        let wordStart = cursorPos;
-        while (wordStart > 0 && /[a-zA-Z0-9_\-.]/.test(currentValue[wordStart - 1])) {
-            wordStart--;
-        }
-        
-        let wordEnd = cursorPos;
-        while (wordEnd < currentValue.length && /[a-zA-Z0-9_\-.]/.test(currentValue[wordEnd])) {
-            wordEnd++;
+        // Mentions and references replace everything from the `@` or `#`, paths and lines the whole path; mentions
+        // get the space GitHub's suggester would add
+        const context = this.engine.getCompletionContext(currentValue, cursorPos);
+        let wordStart;
+        let wordEnd;
+        let insertion = this.engine.getInsertText(suggestion, context);
+        if (context) {
+            wordStart = context.start;
+            wordEnd = context.end;
+            if (context.type === 'mention' && !/^\s/.test(currentValue.substring(wordEnd))) {
+                insertion += ' ';
+            }
+        } else {
+            // Get the current word being typed
+            const currentWord = this.engine.getCurrentWord(currentValue, cursorPos);
+            
+            if (!currentWord) {
+                this.hideSuggestions();
+                return;
+            }
+            
+            // Find the position of the current word (a glob pattern is replaced along with its wildcards)
+            const wordChar = this.engine.isGlobPattern(currentWord) ? /[a-zA-Z0-9_\-.*?]/ : /[a-zA-Z0-9_\-.]/;
+            wordStart = cursorPos;
+            while (wordStart > 0 && wordChar.test(currentValue[wordStart - 1])) {
+                wordStart--;
+            }
+            
+            wordEnd = cursorPos;
+            while (wordEnd < currentValue.length && wordChar.test(currentValue[wordEnd])) {
+                wordEnd++;
+            }
         }
         
         // Replace the current word with the suggestion
-        const newValue = currentValue.substring(0, wordStart) + suggestion + currentValue.substring(wordEnd);
+        const newValue = currentValue.substring(0, wordStart) + insertion + currentValue.substring(wordEnd);
         
         // Update the input value
         this.currentInput.value = newValue;
         
         // Set cursor position after the inserted word
-        const newCursorPos = wordStart + suggestion.length;
+        const newCursorPos = wordStart + insertion.length;
         this.currentInput.setSelectionRange(newCursorPos, newCursorPos);
         this.currentCursorPos = newCursorPos;
         
@@ -420,6 +571,13 @@ class AutoCompleteUI {
         // Focus back on the input
         this.currentInput.focus();
         
+        // A directory goes on to its contents right away
+        if (context && context.type === 'path' && insertion.endsWith('/')) {
+            clearTimeout(this.debounceTimer);
+            this.updateSuggestions(this.currentInput);
+            return;
+        }
+        
         this.hideSuggestions();
     }
 
@@ -0,0 +1,177 @@
+/**
+ * Abbreviation index
+ * Matches camelCase / snake_case initials the way IDE completion does:
+ * `gUN` or `gun` finds `getUserName`, `iph` finds `indexing_path`
+ */
+class AbbreviationIndex {
+    constructor() {
+        // "<first initial><later initial>" -> words whose segments start with those letters.
+        // A query's first letter must be the word's first initial and one of its later letters
+        // starts the next matched segment, so at most query.length - 1 buckets are looked at.
+        this.buckets = new Map();
+        this.segments = new Map(); // word -> lowercased segments
+    }
+
+    /**
+     * Split an identifier into its word segments
+     * e.g. getUserName -> [get, User, Name], indexing_path -> [indexing, path],
+     * HTTPServer2 -> [HTTP, Server, 2]
+     * @param {string} word - Identifier
+     * @returns {string[]} Segments in original case
+     */
+    splitSegments(word) {
+        return word
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')       // camelCase boundary
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')    // acronym followed by a word
+            .replace(/([a-zA-Z])([0-9])/g, '$1 $2')       // letters followed by digits
+            .split(/[\s_\-.\/:]+/)
+            .filter(segment => segment.length > 0);
+    }
+
+    /**
+     * Add a word to the index (words with a single segment are ignored: prefix search covers them)
+     * @param {string} word - Word to add
+     */
+    add(word) {
+        if (this.segments.has(word)) return;
+
+        const segments = this.splitSegments(word).map(segment => segment.toLowerCase());
+        if (segments.length < 2) return;
+
+        this.segments.set(word, segments);
+        for (const key of this.bucketKeys(segments)) {
+            if (!this.buckets.has(key)) {
+                this.buckets.set(key, new Set());
+            }
+            this.buckets.get(key).add(word);
+        }
+    }
+
+    /**
+     * Remove a word from the index
+     * @param {string} word - Word to remove
+     */
+    remove(word) {
+        const segments = this.segments.get(word);
+        if (!segments) return;
+
+        this.segments.delete(word);
+        for (const key of this.bucketKeys(segments)) {
+            const bucket = this.buckets.get(key);
+            if (bucket) {
+                bucket.delete(word);
+                if (bucket.size === 0) {
+                    this.buckets.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Bucket keys for a word: its first initial paired with each later initial
+     * @param {string[]} segments - Lowercased segments
+     * @returns {Set<string>} Keys
+     */
+    bucketKeys(segments) {
+        const keys = new Set();
+        for (let i = 1; i < segments.length; i++) {
+            keys.add(segments[0][0] + segments[i][0]);
+        }
+        return keys;
+    }
+
+    /**
+     * Find all words the query abbreviates
+     * @param {string} query - Abbreviation being typed
+     * @returns {string[]} Matching words
+     */
+    search(query) {
+        const results = [];
+        if (!query || query.length < 2) return results;
+
+        const lowerQuery = query.toLowerCase();
+        const seen = new Set();
+
+        for (let i = 1; i < lowerQuery.length; i++) {
+            const bucket = this.buckets.get(lowerQuery[0] + lowerQuery[i]);
+            if (!bucket) continue;
+
+            for (const word of bucket) {
+                if (!seen.has(word)) {
+                    seen.add(word);
+                    if (this.matches(word, lowerQuery)) {
+                        results.push(word);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Check if a query abbreviates a word
+     *
+     * The query is read as chunks. Each chunk starts at the initial of a segment (the first
+     * chunk at the first segment, later chunks may skip segments) and continues with letters
+     * from that same segment, in order. At least two chunks are required, otherwise the
+     * query is just a prefix.
+     * @param {string} word - Indexed word
+     * @param {string} query - Abbreviation being typed
+     * @returns {boolean} True if the query abbreviates the word
+     */
+    matches(word, query) {
+        const segments = this.segments.get(word);
+        if (!segments || !query) return false;
+
+        const lowerQuery = query.toLowerCase();
+        if (lowerQuery[0] !== segments[0][0]) return false;
+
+        // Depth-first search over (query position, segment, position in segment, chunks used);
+        // dead ends are remembered so each state is explored once
+        const failed = new Set();
+        const stack = [[1, 0, 1, 1]];
+
+        while (stack.length > 0) {
+            const [queryIndex, segmentIndex, position, chunks] = stack.pop();
+            if (queryIndex === lowerQuery.length) {
+                if (chunks >= 2) return true;
+                continue;
+            }
+
+            const state = `${queryIndex},${segmentIndex},${position},${Math.min(chunks, 2)}`;
+            if (failed.has(state)) continue;
+            failed.add(state);
+
+            const letter = lowerQuery[queryIndex];
+
+            // Start a new chunk at the initial of a later segment
+            for (let next = segmentIndex + 1; next < segments.length; next++) {
+                if (segments[next][0] === letter) {
+                    stack.push([queryIndex + 1, next, 1, chunks + 1]);
+                }
+            }
+
+            // Or continue the current chunk inside the same segment
+            const found = segments[segmentIndex].indexOf(letter, position);
+            if (found >= 0) {
+                stack.push([queryIndex + 1, segmentIndex, found + 1, chunks]);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Remove every word from the index
+     */
+    clear() {
+        this.buckets.clear();
+        this.segments.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AbbreviationIndex };
+}
@@ -4,16 +4,38 @@
  */
 class AutoCompleteEngine {
     constructor() {
-        this.trie = new ACT();
+        this.trie = this.createTrie();
+        this.abbreviations = new AbbreviationIndex(); // camelCase / snake_case initials of the words in the trie
+        this.substrings = new SubstringIndex(); // Infix and glob lookups over the words in the trie
+        this.maxGlobResults = 50; // A glob lists every match, up to this many, in the scrolling popup (not maxSuggestions)
+        this.mentions = new MentionIndex(); // People and teams taking part in the PR, for `@` completion
+        this.references = new ReferenceIndex(); // Issues, PRs and review threads the PR points to, for `#` completion
+        this.paths = new PathIndex(); // The PR's changed files, for completing paths a directory at a time
         this.parser = new GitHubParser();
+        this.cache = new TrieCache();
+        this.prInfo = null; // { owner, repo, number, headSha } of the current PR
         this.isInitialized = false;
         this.currentSuggestions = [];
         this.maxSuggestions = 10;
         
         // Cache for performance
-        this.wordCache = new Set();
+        this.wordCache = new Map(); // word -> occurrence count
+        this.wordLocations = new Map(); // word -> [{ path, side, line, anchor }] where it appears in the diff
+        this.wordKinds = new Map(); // word -> Set of token kinds it was seen as in the diff (or commit messages)
+        this.wordChanges = new Map(); // word -> Set of diff line changes (added, removed, context) it was seen on
+        
+        // Score adjustment per token kind; a word seen as several kinds gets the best one
+        this.tokenKindWeights = {
+            identifier: 15,
+            keyword: 0,
+            string: -5,
+            comment: -10,
+            commit: -5
+        };
         this.lastUpdateTime = 0;
-        this.updateThreshold = 5000; // 5 seconds
+        this.updateThreshold = 1000; // Coalesce PR change updates to at most one per second
+        this.pendingWords = null; // Latest extraction waiting for the next coalesced update
+        this.pendingUpdateTimer = null;
         
         // Debug mode
         this.debug = true; // Set to true for debugging
@@ -41,12 +63,28 @@ class AutoCompleteEngine {
             enabled: true,
             maxSuggestions: 10,
             minWordLength: 2,
+            maxWordLength: 1000, // Only guards against minified code and data blobs
             debounceDelay: 300,
             triggerCharacters: this.triggerCharacters,
             fuzzyMatching: true,
-            caseInsensitive: true
+            caseInsensitive: true,
+            abbreviationMatching: true,
+            rankAddedFirst: true, // Words from added lines rank above the rest
+            removedTokens: 'badge', // Words only on removed lines: 'show', 'badge' (demoted and marked) or 'exclude'
+            fullFileSymbols: false, // Also index declarations from the whole head revision of changed files
+            mentionSuggestions: true, // Complete `@` with PR participants (off: leave `@` to GitHub's own suggester)
+            referenceSuggestions: true, // Complete `#` with the PR's issues, PRs and review threads (off: leave `#` to GitHub)
+            pathSuggestions: true, // Complete changed file paths inside backticks and after `/`
+            pathLinks: true, // Accepting a file path outside backticks inserts a link to its diff
+            linePermalinks: true, // Accepting `file.ts:42` outside backticks inserts a permalink to the line
+            stopwordPacks: [...DEFAULT_PACKS], // See StopwordPacks
+            stopwordEdits: {} // Pack name -> { added, removed } words, see StopwordPacks.getWords
         };
         
+        // Settings that change getWordScore, so the trie's cached scores must be refreshed when they change
+        this.scoringSettings = ['rankAddedFirst', 'removedTokens', 'stopwordPacks', 'stopwordEdits'];
+        this.parser.maxWordLength = this.settings.maxWordLength;
+        
         // Load settings from storage
         this.loadSettings();
     }
@@ -62,7 +100,12 @@ class AutoCompleteEngine {
                 });
                 
                 if (response && response.success) {
+                    const previousSettings = this.settings;
                     this.settings = { ...this.settings, ...response.settings };
+                    this.parser.stopwords.configure(this.settings.stopwordPacks, this.settings.stopwordEdits);
+                    this.rescoreIfScoringChanged(previousSettings);
+                    this.parser.fullFileSymbols = this.settings.fullFileSymbols;
+                    this.parser.maxWordLength = this.settings.maxWordLength;
                     this.maxSuggestions = this.settings.maxSuggestions;
                     this.triggerCharacters = this.settings.triggerCharacters || this.triggerCharacters;
                 }
@@ -98,6 +141,13 @@ class AutoCompleteEngine {
             console.log('GitHub PR AutoComplete: Current URL:', window.location.href);
             console.log('GitHub PR AutoComplete: Page title:', document.title);
             
+            // Revisiting a PR: serve the cached trie right away and reconcile it with the page in the background
+            if (await this.restoreFromCache()) {
+                this.isInitialized = true;
+                this.reconcileWithPR();
+                return;
+            }
+            
             // Wait for GitHub page to be ready
             await this.waitForGitHubPage();
             
@@ -129,6 +179,7 @@ class AutoCompleteEngine {
             } else {
                 // Build the Trie
                 this.buildTrie(words);
+                this.saveToCache();
             }
             
             // Set up monitoring for changes
@@ -146,8 +197,9 @@ class AutoCompleteEngine {
             console.error('GitHub PR AutoComplete: Initialization failed', error);
             // Reset initialization state on error
             this.isInitialized = false;
-            this.trie = new ACT(); // Reset trie
-            this.wordCache = new Set(); // Reset cache
+            this.trie = this.createTrie(); // Reset trie
+            this.resetIndexes();
+            this.wordCache = new Map(); // Reset cache
             
             // Try to initialize with fallback words only
             try {
@@ -174,6 +226,82 @@ class AutoCompleteEngine {
         }
     }
 
+    /**
+     * Load the cached trie and word tags for the current PR at its current head commit
+     * @returns {Promise<boolean>} True if a snapshot was restored
+     */
+    async restoreFromCache() {
+        this.prInfo = this.parser.getPRInfo();
+        if (!this.cache.isAvailable() || !this.prInfo) {
+            return false;
+        }
+        
+        try {
+            const snapshot = await this.cache.load(this.prInfo);
+            if (!snapshot) {
+                return false;
+            }
+            
+            // The tags feed the scorer, so they are restored before the trie scores its words
+            const tags = Vocabulary.deserializeTags(snapshot.tags);
+            this.wordLocations = tags.locations;
+            this.wordKinds = tags.kinds;
+            this.wordChanges = tags.changes;
+            this.trie = this.createTrie().deserialize(snapshot.trie);
+            this.wordCache = new Map(this.trie.entries());
+            this.resetIndexes();
+            for (const word of this.wordCache.keys()) {
+                this.indexWord(word);
+            }
+            this.lastUpdateTime = Date.now();
+            console.log(`GitHub PR AutoComplete: Restored ${this.wordCache.size} words from cache for ${this.prInfo.headSha}`);
+            return true;
+        } catch (error) {
+            console.warn('GitHub PR AutoComplete: Could not restore cached trie', error);
+            return false;
+        }
+    }
+
+    /**
+     * Extract words from the page and apply the differences to a trie restored from cache
+     */
+    async reconcileWithPR() {
+        try {
+            await this.waitForGitHubPage();
+            
+            const words = await this.extractWords();
+            if (words && words.size > 0) {
+                this.updateTrie(words);
+                this.saveToCache();
+            }
+            
+            this.setupChangeMonitoring();
+            console.log(`GitHub PR AutoComplete: Reconciled cached trie, ${this.wordCache.size} words in cache`);
+        } catch (error) {
+            console.error('GitHub PR AutoComplete: Reconciling cached trie failed', error);
+        }
+    }
+
+    /**
+     * Save the current trie and word tags for this PR's head commit (fire and forget)
+     */
+    saveToCache() {
+        // Re-read the head commit: new pushes update the page without a reload
+        this.prInfo = this.parser.getPRInfo();
+        if (!this.cache.isAvailable() || !this.prInfo || !this.prInfo.headSha) {
+            return;
+        }
+        
+        const tags = Vocabulary.serializeTags({
+            locations: this.wordLocations,
+            kinds: this.wordKinds,
+            changes: this.wordChanges
+        });
+        this.cache.save(this.prInfo, this.trie.serialize(), tags).catch(error => {
+            console.warn('GitHub PR AutoComplete: Could not cache trie', error);
+        });
+    }
+
     /**
      * Wait for GitHub page to be fully loaded
      */
@@ -193,39 +321,59 @@ class AutoCompleteEngine {
 
     /**
      * Extract words from the GitHub PR
-     * @returns {Promise<Set<string>>} Set of extracted words
+     * @returns {Promise<Vocabulary>} Extracted words with occurrence counts and diff locations
      */
     async extractWords() {
-        return await this.parser.extractWordsFromPR();
+        const words = await this.parser.extractWordsFromPR();
+        this.updatePageIndexes();
+        return words;
+    }
+
+    /**
+     * Re-read the PR's participants for `@` completion, its references for `#` completion and its
+     * changed files for path completion (after an extraction, which reads the commit authors and files)
+     */
+    updatePageIndexes() {
+        this.mentions.setParticipants(this.parser.extractParticipants());
+        this.references.setReferences(this.parser.extractReferences());
+        this.paths.setFiles(this.parser.changedFiles);
     }
 
     /**
      * Build the Trie from extracted words
-     * @param {Set<string>} words - Words to insert into the Trie
+     * @param {Map<string, number>|Set<string>} words - Words to insert into the Trie, with occurrence counts
+     *     (a plain Set counts every word once)
      */
     buildTrie(words) {
-        console.log(`GitHub PR AutoComplete: Building Trie with ${words.size} words`);
+        console.log(`GitHub PR AutoComplete: Building Trie with ${words ? words.size : 0} words`);
         
         if (!words || words.size === 0) {
             console.warn('GitHub PR AutoComplete: No words provided to build Trie');
             return;
         }
         
+        const wordCounts = words instanceof Map ? words : new Map(Array.from(words, word => [word, 1]));
+        
         // Clear existing trie
-        this.trie = new ACT();
-        this.wordCache = new Set(words);
+        this.trie = this.createTrie();
+        this.resetIndexes();
+        this.wordCache = new Map(wordCounts);
+        this.wordLocations = words instanceof Vocabulary ? words.locations : new Map();
+        this.wordKinds = words instanceof Vocabulary ? words.kinds : new Map();
+        this.wordChanges = words instanceof Vocabulary ? words.changes : new Map();
         
         let insertedCount = 0;
         
         // Insert all words into the trie
         let filteredCount = 0;
         let errorCount = 0;
-        for (const word of words) {
+        for (const [word, count] of wordCounts) {
             if (word && word.length >= this.settings.minWordLength) {
                 // Filter out problematic words that might cause issues
                 if (this.isValidWordForTrie(word)) {
                     try {
-                        this.trie.insert(word);
+                        this.trie.insert(word, count);
+                        this.indexWord(word);
                         insertedCount++;
                     } catch (error) {
                         errorCount++;
@@ -255,10 +403,404 @@ class AutoCompleteEngine {
         console.log('GitHub PR AutoComplete: Trie size:', this.trie.size());
         
         // Log some sample words for debugging
-        const sampleWords = Array.from(words).slice(0, 10);
+        const sampleWords = Array.from(wordCounts.keys()).slice(0, 10);
         console.log('GitHub PR AutoComplete: Sample words in Trie:', sampleWords);
     }
 
+    /**
+     * Bring the Trie in line with a new word set by applying only the differences
+     * against the current word cache, instead of rebuilding it from scratch
+     * @param {Map<string, number>|Set<string>} words - Complete new set of words, with occurrence counts
+     */
+    updateTrie(words) {
+        if (!words || words.size === 0) {
+            console.warn('GitHub PR AutoComplete: No words provided to update Trie');
+            return;
+        }
+        
+        const wordCounts = words instanceof Map ? words : new Map(Array.from(words, word => [word, 1]));
+        let added = 0;
+        let removed = 0;
+        let changed = 0;
+        
+        // Token kinds, diff changes and locations feed into word scores, so switch to the new ones before touching the trie
+        const previousKinds = this.wordKinds;
+        const previousChanges = this.wordChanges;
+        const previousLocations = this.wordLocations;
+        this.wordKinds = words instanceof Vocabulary ? words.kinds : new Map();
+        this.wordChanges = words instanceof Vocabulary ? words.changes : new Map();
+        this.wordLocations = words instanceof Vocabulary ? words.locations : new Map();
+        
+        // Words that disappeared from the PR
+        for (const word of this.wordCache.keys()) {
+            if (!wordCounts.has(word)) {
+                this.removeWord(word);
+                removed++;
+            }
+        }
+        
+        // New words and words whose occurrence count changed
+        for (const [word, count] of wordCounts) {
+            const previousCount = this.wordCache.get(word) || 0;
+            if (previousCount === 0) {
+                this.insertWord(word, count);
+                added++;
+            } else if (count > previousCount) {
+                this.insertWord(word, count - previousCount);
+                changed++;
+            } else if (count < previousCount) {
+                this.removeWord(word, previousCount - count);
+                changed++;
+            }
+        }
+        
+        // Words whose count is unchanged but whose tags changed need their cached scores refreshed
+        for (const word of wordCounts.keys()) {
+            if (!this.sameTags(previousKinds.get(word), this.wordKinds.get(word)) ||
+                !this.sameTags(previousChanges.get(word), this.wordChanges.get(word)) ||
+                !this.sameTags(this.getStopwordPacks(word, previousLocations), this.getStopwordPacks(word))) {
+                this.trie.rescore(word);
+            }
+        }
+        
+        this.wordCache = new Map(wordCounts);
+        this.lastUpdateTime = Date.now();
+        
+        if (this.debug) {
+            console.log(`GitHub PR AutoComplete: Trie updated (+${added} / -${removed} / ~${changed} words)`);
+        }
+    }
+
+    /**
+     * Create an empty Trie that ranks its top-K results with this engine's word score
+     * @returns {ACT} New trie
+     */
+    createTrie() {
+        const trie = new ACT();
+        trie.setScorer((word, count) => this.getWordScore(word, count));
+        return trie;
+    }
+
+    /**
+     * Insert a word into the Trie if it passes validation
+     * @param {string} word - Word to insert
+     * @param {number} count - Number of occurrences to add
+     * @returns {boolean} True if the word was inserted
+     */
+    insertWord(word, count = 1) {
+        if (!word || word.length < this.settings.minWordLength || !this.isValidWordForTrie(word)) {
+            return false;
+        }
+        
+        this.trie.insert(word, count);
+        this.indexWord(word);
+        return true;
+    }
+
+    /**
+     * Remove occurrences of a word from the Trie
+     * @param {string} word - Word to remove
+     * @param {number} count - Number of occurrences to remove (default: all of them)
+     * @returns {boolean} True if the word was in the Trie
+     */
+    removeWord(word, count = Infinity) {
+        const removed = this.trie.remove(word, count);
+        if (removed && this.trie.getCount(word) === 0) {
+            this.unindexWord(word);
+        }
+        return removed;
+    }
+
+    /**
+     * Add a word to the secondary indexes that sit alongside the Trie
+     * @param {string} word - Word that was inserted into the Trie
+     */
+    indexWord(word) {
+        this.abbreviations.add(word);
+        this.substrings.add(word);
+    }
+
+    /**
+     * Remove a word from the secondary indexes
+     * @param {string} word - Word that is no longer in the Trie
+     */
+    unindexWord(word) {
+        this.abbreviations.remove(word);
+        this.substrings.remove(word);
+    }
+
+    /**
+     * Replace the secondary indexes with empty ones (whenever the Trie is recreated)
+     */
+    resetIndexes() {
+        this.abbreviations = new AbbreviationIndex();
+        this.substrings = new SubstringIndex();
+    }
+
+    /**
+     * Check if two tag sets are equal (missing sets count as empty)
+     * @param {Set<string>|undefined} a - First set
+     * @param {Set<string>|undefined} b - Second set
+     * @returns {boolean} True if both contain the same tags
+     */
+    sameTags(a, b) {
+        const aSize = a ? a.size : 0;
+        const bSize = b ? b.size : 0;
+        if (aSize !== bSize) return false;
+        return aSize === 0 || Array.from(a).every(tag => b.has(tag));
+    }
+
+    /**
+     * Get the score adjustment for the kinds of token a word was seen as
+     * @param {string} word - Word
+     * @returns {number} Best weight among the word's token kinds (0 if it was not seen in code)
+     */
+    getTokenKindWeight(word) {
+        const kinds = this.wordKinds.get(word);
+        if (!kinds || kinds.size === 0) return 0;
+        
+        return Math.max(...Array.from(kinds, kind => this.tokenKindWeights[kind] || 0));
+    }
+
+    /**
+     * Check if a word appears only on removed diff lines
+     * @param {string} word - Word
+     * @returns {boolean} True if every diff occurrence of the word was deleted by the PR
+     */
+    isRemovedOnly(word) {
+        const changes = this.wordChanges.get(word);
+        return !!changes && changes.size === 1 && changes.has('removed');
+    }
+
+    /**
+     * Check if a word should be left out of suggestions by the removed tokens setting
+     * @param {string} word - Word
+     * @returns {boolean} True if the word must not be suggested
+     */
+    isExcludedWord(word) {
+        return this.settings.removedTokens === 'exclude' && this.isRemovedOnly(word);
+    }
+
+    /**
+     * Get the score adjustment for the diff lines a word was seen on
+     * @param {string} word - Word
+     * @returns {number} Bonus for added words, penalty for words that were only removed
+     *     or only declared elsewhere in a changed file
+     */
+    getDiffChangeWeight(word) {
+        const changes = this.wordChanges.get(word);
+        if (!changes) return 0;
+        
+        if (changes.size === 1 && changes.has('same-file')) {
+            return -40; // Below every kind of diff token
+        }
+        if (this.settings.rankAddedFirst && changes.has('added')) {
+            return 30;
+        }
+        if (this.settings.removedTokens !== 'show' && this.isRemovedOnly(word)) {
+            return -30;
+        }
+        return 0;
+    }
+
+    /**
+     * Get the code stopword packs that apply to a word: those of the languages of the files it was seen in
+     * @param {string} word - Word
+     * @param {Map<string, Object[]>} locations - Locations by word (default: the current ones)
+     * @returns {Set<string>} Pack names (empty if the word was not seen in a file of a known language)
+     */
+    getStopwordPacks(word, locations = this.wordLocations) {
+        const packs = new Set();
+        (locations.get(word) || []).forEach(location => {
+            const pack = this.parser.getStopwordPack(location.path);
+            if (pack) packs.add(pack);
+        });
+        return packs;
+    }
+
+    /**
+     * Check if a word is a stopword of the language it was written in (`self` in Python, not in Go)
+     * @param {string} word - Word
+     * @returns {boolean} True if the code stopword pack of a file the word was seen in lists it
+     */
+    isCodeStopword(word) {
+        return this.parser.stopwords.isCodeStopword(word, this.getStopwordPacks(word));
+    }
+
+    /**
+     * Refresh the trie's cached scores if a setting that affects word scores changed
+     * @param {Object} previousSettings - Settings before the change
+     */
+    rescoreIfScoringChanged(previousSettings) {
+        // Compared by value: settings loaded from storage are new arrays and objects each time
+        const changed = setting => JSON.stringify(previousSettings[setting]) !== JSON.stringify(this.settings[setting]);
+        if (this.scoringSettings.some(changed)) {
+            this.trie.rescoreAll();
+        }
+    }
+
+    /**
+     * Get where a word appears in the diff, preferring the head side (the code as it will be merged)
+     * @param {string} word - Suggested word
+     * @returns {Object|null} { path, side, line, anchor }, or null if the word was not seen in a diff line
+     */
+    getWordLocation(word) {
+        const locations = this.wordLocations.get(word);
+        if (!locations || locations.length === 0) return null;
+        
+        return locations.find(location => location.side === 'right') || locations[0];
+    }
+
+    /**
+     * Find the completion that does not come from the PR's words, if the cursor is in one:
+     * an `@` mention (`@oct`, `@octo/co`), a `#` reference (`#12`, `#flaky`) or the path of a changed
+     * file, inside backticks (`` `src/ne ``) or once it has a `/` (`src/ne`), or a line of one (`client.ts:4`)
+     * @param {string} input - Current input text
+     * @param {number} cursorPos - Current cursor position
+     * @returns {Object|null} { type, start, end, query, codeSpan, pathText }: the text from start to end is
+     *     replaced by the accepted suggestion, query is what was typed of it (without the `@` or `#`; the
+     *     line number of a line), codeSpan tells whether a path or line is inside backticks and pathText
+     *     is the path typed before a line number
+     */
+    getCompletionContext(input, cursorPos = input.length) {
+        if (!input || cursorPos === 0) return null;
+        
+        // `@` starts a mention at the start of a word only, so email addresses and decorators in code spans don't
+        const mention = input.substring(0, cursorPos).match(/(^|[^\w`@])@([A-Za-z0-9-]*(?:\/[\w.-]*)?)$/);
+        if (mention) {
+            const rest = input.substring(cursorPos).match(/^[\w.\/-]*/)[0];
+            return {
+                type: 'mention',
+                start: cursorPos - mention[2].length - 1,
+                end: cursorPos + rest.length,
+                query: mention[2]
+            };
+        }
+        
+        // Same for `#`, which also leaves HTML entities (`&#39;`) and URL fragments alone
+        const reference = input.substring(0, cursorPos).match(/(^|[^\w`&#\/])#([\w-]*)$/);
+        if (reference) {
+            const rest = input.substring(cursorPos).match(/^[\w-]*/)[0];
+            return {
+                type: 'reference',
+                start: cursorPos - reference[2].length - 1,
+                end: cursorPos + rest.length,
+                query: reference[2]
+            };
+        }
+        
+        // Paths and lines only take over from word completion while they lead to a changed file
+        if (this.settings.pathSuggestions && this.paths.size > 0) {
+            const before = input.substring(0, cursorPos);
+            const line = before.substring(before.lastIndexOf('\n') + 1);
+            const codeSpan = (line.match(/`/g) || []).length % 2 === 1;
+            
+            const fileLine = line.match(/(?:^|[\s(\[`])([\w.\/-]+):(\d*)$/);
+            if (fileLine && this.paths.findFiles(fileLine[1]).length > 0) {
+                const rest = input.substring(cursorPos).match(/^\d*/)[0];
+                return {
+                    type: 'line',
+                    start: cursorPos - fileLine[2].length - 1 - fileLine[1].length,
+                    end: cursorPos + rest.length,
+                    query: fileLine[2],
+                    codeSpan,
+                    pathText: fileLine[1]
+                };
+            }
+            
+            const path = codeSpan
+                ? line.match(/`([\w.\/-]*)$/)
+                : line.match(/(?:^|[\s(\[])([\w.-]*\/[\w.\/-]*)$/);
+            if (path && (path[1] || !codeSpan) && this.paths.complete(path[1], 1, codeSpan).length > 0) {
+                const rest = input.substring(cursorPos).match(/^[\w.\/-]*/)[0];
+                return {
+                    type: 'path',
+                    start: cursorPos - path[1].length,
+                    end: cursorPos + rest.length,
+                    query: path[1],
+                    codeSpan
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Get the participant behind a mention suggestion
+     * @param {string} suggestion - Suggested text, e.g. `@octocat`
+     * @returns {Object|null} Participant (see MentionIndex), or null for other suggestions
+     */
+    getParticipant(suggestion) {
+        return suggestion.startsWith('@') ? this.mentions.get(suggestion) : null;
+    }
+
+    /**
+     * Get the issue, PR or review thread behind a reference suggestion
+     * @param {string} suggestion - Suggested text, e.g. `#123`
+     * @returns {Object|null} Reference (see ReferenceIndex), or null for other suggestions
+     */
+    getReference(suggestion) {
+        return this.references.get(suggestion);
+    }
+
+    /**
+     * Get the changed file behind a path suggestion
+     * @param {string} suggestion - Suggested text, e.g. `src/net/client.ts`
+     * @returns {Object|null} File (see PathIndex), or null for directories and other suggestions
+     */
+    getChangedFile(suggestion) {
+        return this.paths.get(suggestion);
+    }
+
+    /**
+     * Get the changed file line behind a line suggestion
+     * @param {string} suggestion - Suggested text, e.g. `src/net/client.ts:42`
+     * @returns {Object|null} { file, line, side, change }: side is 'left' (base) or 'right' (head) and change
+     *     is how the diff shows the line ('added', 'removed', 'context', or null outside the diff);
+     *     null for other suggestions
+     */
+    getLineTarget(suggestion) {
+        const match = suggestion.match(/^(.+):(\d+)$/);
+        const file = match ? this.getChangedFile(match[1]) : null;
+        if (!file) return null;
+
+        const line = parseInt(match[2], 10);
+        const side = this.parser.getLineSide(file, line);
+        return { file, line, side, change: file.lines[side].get(line) || null };
+    }
+
+    /**
+     * Get the text that accepting a suggestion inserts
+     * @param {string} suggestion - Suggested text
+     * @param {Object|null} context - Completion context the suggestion was made in (see getCompletionContext)
+     * @returns {string} The suggestion itself, or a markdown link for a review thread, which GitHub
+     *     doesn't autolink, for a changed file outside backticks (with the pathLinks setting) and for
+     *     a line of one (with the linePermalinks setting; the path keeps the form it was typed in)
+     */
+    getInsertText(suggestion, context = null) {
+        const target = context && context.type === 'line' ? this.getLineTarget(suggestion) : null;
+        if (target) {
+            const shortened = this.paths.findFiles(context.pathText).length === 1 ? context.pathText : target.file.path;
+            const text = `${shortened}:${target.line}`;
+            const url = !context.codeSpan && this.settings.linePermalinks
+                ? this.parser.getLinePermalink(target.file, target.line)
+                : null;
+            return url ? `[${text}](${url})` : text;
+        }
+
+        const reference = this.getReference(suggestion);
+        if (reference && reference.type === 'thread' && reference.url) {
+            return `[${reference.path || 'review thread'}](${reference.url})`;
+        }
+
+        const file = context && context.type === 'path' ? this.getChangedFile(suggestion) : null;
+        if (file && file.url && !context.codeSpan && this.settings.pathLinks) {
+            return `[${file.path}](${file.url})`;
+        }
+        return suggestion;
+    }
+
     /**
      * Check if autocomplete should be triggered based on the current input
      * @param {string} input - Current input text
@@ -283,6 +825,11 @@ class AutoCompleteEngine {
             return true;
         }
         
+        // Trigger while typing a glob pattern like `*Handler` or `get*`
+        if (this.getGlobCurrentWord(input, cursorPos)) {
+            return true;
+        }
+        
         // Special trigger for complex identifiers
         const currentWord = this.getCurrentWord(input, cursorPos);
         if (currentWord && currentWord.length >= this.settings.minWordLength) {
@@ -300,9 +847,10 @@ class AutoCompleteEngine {
      * @param {string} input - Current user input
      * @param {number} maxResults - Maximum number of suggestions to return
      * @param {number} cursorPos - Current cursor position
+     * @param {Element|null} field - Comment field being typed in (a reply leaves its own review thread out)
      * @returns {string[]} Array of suggestions
      */
-    getSuggestions(input, maxResults = this.maxSuggestions, cursorPos = input.length) {
+    getSuggestions(input, maxResults = this.maxSuggestions, cursorPos = input.length, field = null) {
         if (this.debug) {
             console.log('GitHub PR AutoComplete: getSuggestions called with:', { input, maxResults, cursorPos });
         }
@@ -314,6 +862,66 @@ class AutoCompleteEngine {
             return [];
         }
 
+        // After `@` only people make sense, never code words
+        const context = this.getCompletionContext(input, cursorPos);
+        if (context && context.type === 'mention') {
+            this.currentSuggestions = this.settings.mentionSuggestions
+                ? this.mentions.search(context.query, maxResults).map(participant => `@${participant.handle}`)
+                : [];
+            return this.currentSuggestions;
+        }
+
+        // After `#` only issues, PRs and review threads
+        if (context && context.type === 'reference') {
+            this.currentSuggestions = this.settings.referenceSuggestions
+                ? this.references.search(context.query, maxResults, this.parser.getReviewThreadKey(field))
+                    .map(reference => reference.key)
+                : [];
+            return this.currentSuggestions;
+        }
+
+        // After `file:`, the typed line first, then the lines the diff changes
+        if (context && context.type === 'line') {
+            const typedLine = parseInt(context.query, 10);
+            this.currentSuggestions = [];
+            this.paths.findFiles(context.pathText).forEach(file => {
+                const lines = this.paths.getChangedLines(file)
+                    .filter(line => line !== typedLine && String(line).startsWith(context.query));
+                if (typedLine > 0) lines.unshift(typedLine);
+                lines.forEach(line => this.currentSuggestions.push(`${file.path}:${line}`));
+            });
+            this.currentSuggestions = this.currentSuggestions.slice(0, maxResults);
+            return this.currentSuggestions;
+        }
+
+        // Inside a path, the next directory or file; inside backticks a first segment may just as well be
+        // the start of a code name, so the words follow
+        if (context && context.type === 'path') {
+            const paths = this.paths.complete(context.query, maxResults, context.codeSpan).map(entry => entry.path);
+            const words = context.codeSpan && !context.query.includes('/')
+                ? this.getWordSuggestions(input, maxResults, cursorPos).filter(word => !paths.includes(word))
+                : [];
+            this.currentSuggestions = paths.concat(words).slice(0, maxResults);
+            return this.currentSuggestions;
+        }
+
+        this.currentSuggestions = this.getWordSuggestions(input, maxResults, cursorPos);
+        
+        if (this.debug) {
+            console.log('GitHub PR AutoComplete: Final suggestions:', this.currentSuggestions);
+        }
+        
+        return this.currentSuggestions;
+    }
+
+    /**
+     * Get completions of the word being typed from the PR's words
+     * @param {string} input - Current user input
+     * @param {number} maxResults - Maximum number of suggestions to return
+     * @param {number} cursorPos - Current cursor position
+     * @returns {string[]} Suggestions, best first
+     */
+    getWordSuggestions(input, maxResults, cursorPos) {
         // Check if we should trigger autocomplete
         if (!this.shouldTrigger(input, cursorPos)) {
             if (this.debug) {
@@ -335,12 +943,43 @@ class AutoCompleteEngine {
             console.log('GitHub PR AutoComplete: Current word:', currentWord);
         }
 
-        // Get suggestions from trie using fuzzy matching if enabled
-        let suggestions;
-        if (this.settings.fuzzyMatching) {
-            suggestions = this.trie.search(currentWord, maxResults);
-        } else {
-            suggestions = this.trie.autoComplete(currentWord);
+        // A glob like `*Handler` lists every matching identifier instead of completing a prefix
+        if (this.isGlobPattern(currentWord)) {
+            return this.getGlobSuggestions(currentWord);
+        }
+
+        // After a chain's `.` only its members fit
+        if (currentWord.endsWith('.')) {
+            return this.rankSuggestions(this.getPrefixCandidates(currentWord, maxResults), currentWord).slice(0, maxResults);
+        }
+
+        // Get the best prefix completions, add abbreviation matches, then fill up with infix and fuzzy matches
+        const suggestions = this.getPrefixCandidates(currentWord, maxResults);
+        const seen = new Set(suggestions);
+        if (this.settings.abbreviationMatching) {
+            for (const abbreviationMatch of this.abbreviations.search(currentWord)) {
+                if (!seen.has(abbreviationMatch)) {
+                    seen.add(abbreviationMatch);
+                    suggestions.push(abbreviationMatch);
+                }
+            }
+        }
+        if (suggestions.length < maxResults) {
+            // Few prefix results: look for the typed text inside names (`Handler` -> `FileUploadHandler`)
+            for (const infixMatch of this.substrings.search(currentWord, maxResults * 2)) {
+                if (!seen.has(infixMatch) && (this.settings.caseInsensitive || infixMatch.includes(currentWord))) {
+                    seen.add(infixMatch);
+                    suggestions.push(infixMatch);
+                }
+            }
+        }
+        if (this.settings.fuzzyMatching && suggestions.length < maxResults) {
+            for (const fuzzyMatch of this.trie.fuzzySearch(currentWord, this.trie.getMaxEditDistance(currentWord), maxResults * 2)) {
+                if (!seen.has(fuzzyMatch) && suggestions.length < maxResults) {
+                    seen.add(fuzzyMatch);
+                    suggestions.push(fuzzyMatch);
+                }
+            }
         }
         
         if (this.debug) {
@@ -351,13 +990,85 @@ class AutoCompleteEngine {
         const rankedSuggestions = this.rankSuggestions(suggestions, currentWord);
         
         // Return top results
-        this.currentSuggestions = rankedSuggestions.slice(0, maxResults);
+        return rankedSuggestions.slice(0, maxResults);
+    }
+
+    /**
+     * Collect prefix completions that are guaranteed to contain the top results of rankSuggestions
+     * without enumerating every completion of the prefix.
+     *
+     * Prefix matches all share the same prefix bonus, so their order is decided by the
+     * query-independent getWordScore that the trie caches per node. The only query-dependent
+     * adjustments are the exact-match bonus (words whose key equals the prefix) and dropping the
+     * word that is already typed, so we ask the trie for that many extra results and add the
+     * exact-key spellings explicitly.
+     * @param {string} currentWord - Current word being typed
+     * @param {number} maxResults - Number of suggestions that will be shown
+     * @returns {string[]} Candidate suggestions (unranked)
+     */
+    getPrefixCandidates(currentWord, maxResults) {
+        // Case-sensitive ranking withholds the prefix bonus from differently cased completions,
+        // which the trie's case-insensitive scores can't account for
+        if (!this.settings.caseInsensitive) {
+            return this.trie.autoComplete(currentWord);
+        }
         
-        if (this.debug) {
-            console.log('GitHub PR AutoComplete: Final suggestions:', this.currentSuggestions);
+        // Words the removed tokens setting leaves out are skipped inside the walk, so they don't use up the K
+        const exactSpellings = this.trie.getSpellings(currentWord);
+        const limit = maxResults + exactSpellings.length + 1;
+        const candidates = this.trie.topK(currentWord, limit, (a, b) => this.compareTiedSuggestions(a, b, currentWord),
+            word => !this.isExcludedWord(word));
+        
+        const seen = new Set(candidates);
+        for (const spelling of exactSpellings) {
+            if (!seen.has(spelling)) {
+                candidates.push(spelling);
+            }
         }
         
-        return this.currentSuggestions;
+        return candidates;
+    }
+
+    /**
+     * Check if a word is a glob pattern: it contains `*`, or `?` followed by more of the pattern
+     * (a trailing `?` is just the end of a question), and at least one literal character
+     * @param {string} word - Word to check
+     * @returns {boolean} True if the word is a glob pattern
+     */
+    isGlobPattern(word) {
+        if (!word || !/[a-zA-Z0-9]/.test(word)) return false;
+        return word.includes('*') || /\?[a-zA-Z0-9_\-.*?]/.test(word);
+    }
+
+    /**
+     * Extract a glob pattern ending at the cursor
+     * @param {string} input - Current input text
+     * @param {number} cursorPos - Current cursor position
+     * @returns {string|null} Glob pattern or null
+     */
+    getGlobCurrentWord(input, cursorPos = input.length) {
+        if (!input || cursorPos === 0) return null;
+        
+        const match = input.substring(0, cursorPos).match(/[a-zA-Z0-9_\-.*?]+$/);
+        return match && this.isGlobPattern(match[0]) ? match[0] : null;
+    }
+
+    /**
+     * List the identifiers matching a glob pattern, best scoring first
+     * @param {string} pattern - Glob pattern
+     * @returns {string[]} Matching identifiers
+     */
+    getGlobSuggestions(pattern) {
+        const scores = new Map();
+        for (const word of this.substrings.glob(pattern, !this.settings.caseInsensitive)) {
+            if (!this.isExcludedWord(word)) {
+                scores.set(word, this.getWordScore(word, this.trie.getCount(word)));
+            }
+        }
+        
+        return Array.from(scores.keys())
+            .sort((a, b) => (scores.get(b) - scores.get(a)) || (a.length - b.length) || a.localeCompare(b))
+            .slice(0, this.maxGlobResults);
     }
 
     /**
@@ -367,7 +1078,13 @@ class AutoCompleteEngine {
      * @returns {string} Current word being typed
      */
     getCurrentWord(input, cursorPos = input.length) {
-        // First, try to extract complex identifiers
+        // Glob patterns keep their wildcards
+        const globPattern = this.getGlobCurrentWord(input, cursorPos);
+        if (globPattern) {
+            return globPattern;
+        }
+        
+        // Then try to extract complex identifiers
         const complexWord = this.getComplexCurrentWord(input, cursorPos);
         if (complexWord) {
             return complexWord;
@@ -405,28 +1122,29 @@ class AutoCompleteEngine {
         // Get the text before the cursor
         const beforeCursor = input.substring(0, cursorPos);
         
-        // Pattern 1: Method calls like self.function(), obj.method()
-        const methodCallMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*\.[a-zA-Z_$][a-zA-Z0-9_$]*\s*\([^)]*$/);
+        // Pattern 1: Method calls like self.function(), request.headers.get()
+        const methodCallMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*(?:\.[a-zA-Z_$][a-zA-Z0-9_$]*)+\s*\([^)]*$/);
         if (methodCallMatch) {
             return methodCallMatch[0];
         }
         
-        // Pattern 2: Property access like obj.property, self.attribute
-        const propertyAccessMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*\.[a-zA-Z_$][a-zA-Z0-9_$]*$/);
+        // Pattern 2: Member chains like obj.property, request.headers.get
+        const propertyAccessMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*(?:\.[a-zA-Z_$][a-zA-Z0-9_$]*)+$/);
         if (propertyAccessMatch) {
             return propertyAccessMatch[0];
         }
         
-        // Pattern 3: Snake_case identifiers like indexing_path, user_name
-        const snakeCaseMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*(?:_[a-zA-Z0-9_$]+)*$/);
-        if (snakeCaseMatch) {
-            return snakeCaseMatch[0];
+        // Pattern 3: A chain followed by `.` (`request.`) completes its members, if the PR has any;
+        // otherwise the dot is taken to end a sentence
+        const memberAccessMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*(?:\.[a-zA-Z_$][a-zA-Z0-9_$]*)*\.$/);
+        if (memberAccessMatch && this.trie.findPrefixNode(memberAccessMatch[0])) {
+            return memberAccessMatch[0];
         }
         
-        // Pattern 4: Kebab-case identifiers like user-name, api-endpoint
-        const kebabCaseMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*(?:-[a-zA-Z0-9_$]+)*$/);
-        if (kebabCaseMatch) {
-            return kebabCaseMatch[0];
+        // Pattern 4: Snake_case and kebab-case identifiers like indexing_path, user-name, api-endpoint
+        const compoundMatch = beforeCursor.match(/\b[a-zA-Z_$][a-zA-Z0-9_$]*(?:-[a-zA-Z0-9_$]+)*$/);
+        if (compoundMatch) {
+            return compoundMatch[0];
         }
         
         // Pattern 5: Array access like array[index], obj[key]
@@ -455,9 +1173,9 @@ class AutoCompleteEngine {
         
         return suggestions
             .filter(suggestion => {
-                // Exclude exact matches that are already complete
-                const suggestionToCompare = this.settings.caseInsensitive ? suggestion.toLowerCase() : suggestion;
-                return suggestionToCompare !== currentWordLower;
+                // Exclude exact matches that are already complete. Spellings that differ only by case
+                // (`Config` while typing `config`) are distinct words and stay in the list.
+                return suggestion !== currentWord && !this.isExcludedWord(suggestion);
             })
             .sort((a, b) => {
                 const aLower = this.settings.caseInsensitive ? a.toLowerCase() : a;
@@ -472,15 +1190,33 @@ class AutoCompleteEngine {
                     return bScore - aScore;
                 }
                 
-                // If scores are equal, prioritize shorter words
-                const lengthDiff = a.length - b.length;
-                if (lengthDiff !== 0) return lengthDiff;
-                
-                // Alphabetical order as final sort
-                return a.localeCompare(b);
+                return this.compareTiedSuggestions(a, b, currentWord);
             });
     }
 
+    /**
+     * Order two suggestions that have the same score
+     * @param {string} a - First suggestion
+     * @param {string} b - Second suggestion
+     * @param {string} currentWord - Current word being typed
+     * @returns {number} Negative if a comes first
+     */
+    compareTiedSuggestions(a, b, currentWord) {
+        // Prefer the spelling that matches the typed case
+        const aCaseMatch = a.startsWith(currentWord);
+        const bCaseMatch = b.startsWith(currentWord);
+        if (aCaseMatch !== bCaseMatch) {
+            return aCaseMatch ? -1 : 1;
+        }
+        
+        // Then prioritize shorter words
+        const lengthDiff = a.length - b.length;
+        if (lengthDiff !== 0) return lengthDiff;
+        
+        // Alphabetical order as final sort
+        return a.localeCompare(b);
+    }
+
     /**
      * Calculate a score for a suggestion based on relevance to current word
      * @param {string} suggestion - The suggestion to score
@@ -499,8 +1235,27 @@ class AutoCompleteEngine {
             if (suggestionLower === currentWord) {
                 score += 50;
             }
+        } else if (this.settings.abbreviationMatching && this.abbreviations.matches(suggestion, currentWord)) {
+            // Abbreviation match (`gUN` -> `getUserName`) ranks below prefix matches but above fuzzy ones
+            score += 60;
+        } else if (suggestionLower.includes(currentWord)) {
+            // Infix match (`Handler` -> `FileUploadHandler`) ranks below abbreviations
+            score += 40;
         }
         
+        return score + this.getWordScore(suggestion, this.trie.getCount(suggestion));
+    }
+
+    /**
+     * Calculate the part of a suggestion's score that does not depend on what is being typed.
+     * The trie caches this per node to find the best completions without visiting all of them.
+     * @param {string} suggestion - The suggestion to score
+     * @param {number} frequency - Number of times the suggestion occurs in the PR
+     * @returns {number} Score (higher is better)
+     */
+    getWordScore(suggestion, frequency) {
+        let score = 0;
+        
         // Bonus for complex identifier matches
         if (this.isComplexIdentifier(suggestion)) {
             score += 20;
@@ -519,11 +1274,27 @@ class AutoCompleteEngine {
         // Bonus for shorter suggestions (more likely to be what user wants)
         score += Math.max(0, 20 - suggestion.length);
         
+        // Bonus for words that occur often in the PR (logarithmic so one hot identifier can't drown out the rest)
+        if (frequency > 1) {
+            score += Math.min(60, Math.round(Math.log2(frequency) * 10));
+        }
+        
         // Bonus for common programming patterns
         if (this.isCommonProgrammingPattern(suggestion)) {
             score += 15;
         }
         
+        // Identifiers from the code rank above words that only appear in strings or comments
+        score += this.getTokenKindWeight(suggestion);
+        
+        // Added code ranks first; names the PR removed are usually the wrong ones to use
+        score += this.getDiffChangeWeight(suggestion);
+        
+        // Code stopwords (`self`, `let`, `pub`) stay available but rank below every other name
+        if (this.isCodeStopword(suggestion)) {
+            score -= 40;
+        }
+        
         return score;
     }
 
@@ -562,12 +1333,21 @@ class AutoCompleteEngine {
      */
     setupChangeMonitoring() {
         this.parser.monitorForChanges((newWords) => {
-            // Throttle updates to avoid excessive rebuilding
-            const now = Date.now();
-            if (now - this.lastUpdateTime > this.updateThreshold) {
+            // Coalesce bursts of updates: always keep the latest word set and apply it
+            // once the threshold has passed, so no update is ever dropped
+            this.pendingWords = newWords;
+            if (this.pendingUpdateTimer) return;
+            
+            const wait = Math.max(0, this.updateThreshold - (Date.now() - this.lastUpdateTime));
+            this.pendingUpdateTimer = setTimeout(() => {
+                this.pendingUpdateTimer = null;
+                const pendingWords = this.pendingWords;
+                this.pendingWords = null;
                 console.log('GitHub PR AutoComplete: Updating word list');
-                this.buildTrie(newWords);
-            }
+                this.updateTrie(pendingWords);
+                this.updatePageIndexes();
+                this.saveToCache();
+            }, wait);
         });
     }
 
@@ -581,22 +1361,9 @@ class AutoCompleteEngine {
             return false;
         }
 
-        // Check if it's a text input area on GitHub
-        const validSelectors = [
-            'textarea[name="comment[body]"]',           // PR comments
-            'textarea[name="pull_request_review[body]"]', // Review comments
-            'textarea[name="commit_comment[body]"]',    // Commit comments
-            '.js-comment-field',                        // Generic comment fields
-            '.js-suggester-field',                      // GitHub's suggestion fields
-            'textarea.js-size-to-fit',                  // Auto-resizing textareas
-            '[data-testid="comment-body-textarea"]',    // New GitHub UI
-            'textarea[placeholder*="comment"]',          // Comment textareas
-            'textarea[aria-label*="comment"]'           // Accessible comment fields
-        ];
-
-        return validSelectors.some(selector => {
-            return element.matches(selector) || element.closest(selector);
-        });
+        // Check if it's a comment field of the PR UI the page uses
+        const commentFields = this.parser.getSelectorProfile().commentFields;
+        return element.matches(commentFields) || !!element.closest(commentFields);
     }
 
     /**
@@ -604,11 +1371,24 @@ class AutoCompleteEngine {
      * @param {Object} newSettings - New settings to apply
      */
     updateSettings(newSettings) {
+        const previousSettings = this.settings;
         this.settings = { ...this.settings, ...newSettings };
+        this.parser.stopwords.configure(this.settings.stopwordPacks, this.settings.stopwordEdits);
+        this.rescoreIfScoringChanged(previousSettings);
+        this.parser.fullFileSymbols = this.settings.fullFileSymbols;
+        this.parser.maxWordLength = this.settings.maxWordLength;
         this.maxSuggestions = this.settings.maxSuggestions;
         this.triggerCharacters = this.settings.triggerCharacters || this.triggerCharacters;
         
         console.log('GitHub PR AutoComplete: Settings updated', this.settings);
+        
+        // The word list depends on whether whole files are read, on the longest word indexed and on the prose stopwords
+        const stopwordsChanged = ['stopwordPacks', 'stopwordEdits'].some(setting =>
+            JSON.stringify(previousSettings[setting]) !== JSON.stringify(this.settings[setting]));
+        if (this.isInitialized && (previousSettings.fullFileSymbols !== this.settings.fullFileSymbols ||
+            previousSettings.maxWordLength !== this.settings.maxWordLength || stopwordsChanged)) {
+            this.refresh();
+        }
     }
 
     /**
@@ -621,10 +1401,15 @@ class AutoCompleteEngine {
             enabled: this.settings.enabled,
             totalWords: this.wordCache.size,
             trieSize: this.trie.size(),
+            memoryEstimate: this.trie.estimateMemory(),
             lastUpdate: new Date(this.lastUpdateTime).toLocaleString(),
             currentSuggestions: this.currentSuggestions.length,
             settings: this.settings,
-            triggerCharacters: this.triggerCharacters
+            triggerCharacters: this.triggerCharacters,
+            selectorProfile: this.parser.describeSelectorProfile(),
+            participants: this.mentions.size,
+            references: this.references.size,
+            changedFiles: this.paths.size
         };
     }
 
@@ -634,7 +1419,8 @@ class AutoCompleteEngine {
     async refresh() {
         console.log('GitHub PR AutoComplete: Manual refresh triggered');
         const words = await this.extractWords();
-        this.buildTrie(words);
+        this.updateTrie(words);
+        this.saveToCache();
     }
 
     /**
@@ -647,7 +1433,8 @@ class AutoCompleteEngine {
         words.forEach(word => {
             if (word && typeof word === 'string' && word.length >= this.settings.minWordLength) {
                 this.trie.insert(word);
-                this.wordCache.add(word);
+                this.indexWord(word);
+                this.wordCache.set(word, (this.wordCache.get(word) || 0) + 1);
             }
         });
         
@@ -662,9 +1449,8 @@ class AutoCompleteEngine {
     isValidWordForTrie(word) {
         if (!word || typeof word !== 'string') return false;
         
-        // Check length - allow longer words for complex identifiers
-        const maxLength = this.isComplexIdentifier(word) ? 200 : 100;
-        if (word.length < this.settings.minWordLength || word.length > maxLength) {
+        // Check length
+        if (word.length < this.settings.minWordLength || word.length > this.settings.maxWordLength) {
             return false;
         }
         
@@ -698,11 +1484,26 @@ class AutoCompleteEngine {
      * Clear all data and reset the engine
      */
     reset() {
-        this.trie = new ACT();
-        this.wordCache = new Set();
+        clearTimeout(this.pendingUpdateTimer);
+        this.pendingUpdateTimer = null;
+        this.pendingWords = null;
+        this.trie = this.createTrie();
+        this.resetIndexes();
+        this.wordCache = new Map();
+        this.wordLocations = new Map();
+        this.wordKinds = new Map();
+        this.wordChanges = new Map();
+        this.mentions.clear();
+        this.references.clear();
+        this.paths.clear();
         this.currentSuggestions = [];
         this.isInitialized = false;
         this.lastUpdateTime = 0;
         console.log('GitHub PR AutoComplete: Engine reset');
     }
 }
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AutoCompleteEngine };
+}
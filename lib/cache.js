@@ -0,0 +1,147 @@
+/**
+ * Trie snapshot cache
+ * Persists the trie for each PR in chrome.storage.local so revisiting a PR can offer
+ * suggestions immediately, before the page has been scraped again
+ */
+class TrieCache {
+    /**
+     * @param {Object} storage - chrome.storage.local compatible area (default: chrome.storage.local when available)
+     */
+    constructor(storage = null) {
+        this.storage = storage ||
+            (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local ? chrome.storage.local : null);
+        this.keyPrefix = 'trieCache:';
+        this.indexKey = 'trieCache:index';
+        this.maxEntries = 20; // Least recently saved PRs are evicted beyond this
+    }
+
+    /**
+     * Check if persistent storage is available (it is not on plain test pages)
+     * @returns {boolean} True if the cache can be used
+     */
+    isAvailable() {
+        return !!this.storage;
+    }
+
+    /**
+     * Build the storage key for a PR
+     * @param {Object} prInfo - { owner, repo, number }
+     * @returns {string} Storage key
+     */
+    keyFor(prInfo) {
+        return `${this.keyPrefix}${prInfo.owner}/${prInfo.repo}#${prInfo.number}`;
+    }
+
+    /**
+     * Load the cached snapshot for a PR
+     * Entries saved for a different head commit are stale and are removed.
+     * @param {Object} prInfo - { owner, repo, number, headSha }
+     * @returns {Promise<Object|null>} { trie, tags } as passed to save, or null on a cache miss
+     */
+    async load(prInfo) {
+        if (!this.isAvailable() || !prInfo || !prInfo.headSha) return null;
+
+        const key = this.keyFor(prInfo);
+        const items = await this.get([key]);
+        const entry = items[key];
+
+        if (!entry) return null;
+
+        if (entry.headSha !== prInfo.headSha) {
+            console.log('GitHub PR AutoComplete: Cached trie is for an older head commit, discarding');
+            await this.remove(prInfo);
+            return null;
+        }
+
+        return { trie: entry.trie, tags: entry.tags || null };
+    }
+
+    /**
+     * Save a snapshot for a PR at its current head commit
+     * When storage is full, the least recently saved PRs are evicted one at a time until the snapshot fits.
+     * @param {Object} prInfo - { owner, repo, number, headSha }
+     * @param {Array} serializedTrie - Output of ACT.serialize()
+     * @param {Object|null} serializedTags - Output of Vocabulary.serializeTags()
+     */
+    async save(prInfo, serializedTrie, serializedTags = null) {
+        if (!this.isAvailable() || !prInfo || !prInfo.headSha) return;
+
+        const key = this.keyFor(prInfo);
+        const items = await this.get([this.indexKey]);
+        const index = (items[this.indexKey] || []).filter(existingKey => existingKey !== key);
+        index.push(key);
+
+        const evicted = index.splice(0, Math.max(0, index.length - this.maxEntries));
+        if (evicted.length > 0) {
+            await this.call('remove', evicted);
+        }
+
+        const entry = { headSha: prInfo.headSha, savedAt: Date.now(), trie: serializedTrie, tags: serializedTags };
+        for (;;) {
+            try {
+                await this.call('set', { [key]: entry, [this.indexKey]: index });
+                return;
+            } catch (error) {
+                if (!this.isQuotaError(error) || index.length <= 1) throw error;
+
+                console.log('GitHub PR AutoComplete: Trie cache is full, evicting the oldest snapshot');
+                await this.call('remove', index.shift());
+            }
+        }
+    }
+
+    /**
+     * Remove the cached snapshot for a PR
+     * @param {Object} prInfo - { owner, repo, number }
+     */
+    async remove(prInfo) {
+        if (!this.isAvailable()) return;
+
+        const key = this.keyFor(prInfo);
+        const items = await this.get([this.indexKey]);
+        const index = (items[this.indexKey] || []).filter(existingKey => existingKey !== key);
+
+        await this.call('remove', key);
+        await this.call('set', { [this.indexKey]: index });
+    }
+
+    /**
+     * Promise wrapper around storage.get
+     * @param {string[]} keys - Keys to read
+     * @returns {Promise<Object>} Stored items
+     */
+    async get(keys) {
+        return (await this.call('get', keys)) || {};
+    }
+
+    /**
+     * Call a storage method and wait for its callback
+     * @param {string} method - 'get', 'set' or 'remove'
+     * @param {*} argument - Keys or items
+     * @returns {Promise<*>} Value passed to the callback; rejects with chrome.runtime.lastError when it is set
+     */
+    call(method, argument) {
+        return new Promise((resolve, reject) => this.storage[method](argument, result => {
+            const lastError = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.lastError;
+            if (lastError) {
+                reject(new Error(lastError.message || String(lastError)));
+            } else {
+                resolve(result);
+            }
+        }));
+    }
+
+    /**
+     * Check if a storage error means the storage area is full
+     * @param {Error} error - Error from call()
+     * @returns {boolean} True for quota errors
+     */
+    isQuotaError(error) {
+        return /quota/i.test(error.message);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrieCache };
+}
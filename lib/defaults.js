@@ -0,0 +1,13 @@
+/**
+ * Shared defaults
+ * Values the content scripts, the options page and the background script all need, kept in one
+ * small file so the background script doesn't have to load the libraries they come from
+ */
+
+// Stopword packs enabled until the user picks their own (see StopwordPacks)
+const DEFAULT_PACKS = Object.freeze(['en', 'javascript', 'python', 'go', 'rust', 'java', 'c']);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_PACKS };
+}
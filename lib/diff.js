@@ -0,0 +1,383 @@
+/**
+ * Unified diff parser
+ * Turns `git diff` output (as served by GitHub's .diff and .patch URLs) into files, hunks and
+ * lines. It doesn't touch the DOM, so it runs the same in the page and under Node.
+ *
+ * Model:
+ *   file: { path, oldPath, newPath, status, similarity, oldMode, newMode, binary, hunks }
+ *     status is 'added', 'deleted', 'modified', 'renamed' or 'copied'; path is the new path,
+ *     or the old one for deleted files; oldPath / newPath are null on the side the file is missing from
+ *   hunk: { oldStart, oldLines, newStart, newLines, context, lines }
+ *     context is the function header git prints after the second @@ (empty if none)
+ *   line: { change, text, oldLine, newLine, noNewline }
+ *     change is 'added', 'removed' or 'context'; the line number of the side a line is missing
+ *     from is null; noNewline marks the last line of a file that has no trailing newline
+ *   commit: { sha, subject, body, author }
+ *     from the headers of a `git format-patch` series (parseCommits); subject has its [PATCH n/m] prefix removed;
+ *     author is { name, email }, or null if the series has no From header for the commit
+ */
+class DiffParser {
+    /**
+     * Parse unified diff text
+     * @param {string} text - Diff text; LF and CRLF line endings are both accepted
+     * @returns {Object[]} Files in diff order
+     */
+    parse(text) {
+        const files = [];
+        if (!text) return files;
+
+        let file = null;
+        let hunk = null;
+        let oldRemaining = 0;
+        let newRemaining = 0;
+        let oldLine = 0;
+        let newLine = 0;
+
+        for (const rawLine of text.split('\n')) {
+            const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+            if (hunk) {
+                // "\ No newline at end of file" belongs to the line before it and may follow the last line of a hunk
+                if (line.startsWith('\\')) {
+                    if (hunk.lines.length > 0) {
+                        hunk.lines[hunk.lines.length - 1].noNewline = true;
+                    }
+                    continue;
+                }
+
+                // Inside a hunk the line counts decide what a line is, so a removed "--- x" line is not a file header
+                if (oldRemaining > 0 || newRemaining > 0) {
+                    const marker = line[0];
+                    if (marker === '+' && newRemaining > 0) {
+                        hunk.lines.push(this.createLine('added', line.substring(1), null, newLine++));
+                        newRemaining--;
+                        continue;
+                    }
+                    if (marker === '-' && oldRemaining > 0) {
+                        hunk.lines.push(this.createLine('removed', line.substring(1), oldLine++, null));
+                        oldRemaining--;
+                        continue;
+                    }
+                    // Some tools strip the space off empty context lines
+                    if ((marker === ' ' || line === '') && oldRemaining > 0 && newRemaining > 0) {
+                        hunk.lines.push(this.createLine('context', line.substring(1), oldLine++, newLine++));
+                        oldRemaining--;
+                        newRemaining--;
+                        continue;
+                    }
+                }
+                hunk = null;
+            }
+
+            if (line.startsWith('diff --git ')) {
+                file = this.createFile();
+                const [oldPath, newPath] = this.parseGitHeaderPaths(line.substring('diff --git '.length));
+                file.oldPath = oldPath;
+                file.newPath = newPath;
+                files.push(file);
+            } else if (line.startsWith('@@ ') && file) {
+                hunk = this.parseHunkHeader(line);
+                if (hunk) {
+                    oldLine = hunk.oldStart;
+                    newLine = hunk.newStart;
+                    oldRemaining = hunk.oldLines;
+                    newRemaining = hunk.newLines;
+                    file.hunks.push(hunk);
+                }
+            } else if (line.startsWith('--- ')) {
+                if (!file || file.hunks.length > 0) {
+                    // Plain unified diff without git headers
+                    file = this.createFile();
+                    files.push(file);
+                }
+                file.oldPath = this.parseFilePath(line.substring(4), 'a/');
+            } else if (line.startsWith('+++ ') && file) {
+                file.newPath = this.parseFilePath(line.substring(4), 'b/');
+            } else if (file) {
+                this.parseExtendedHeader(line, file);
+            }
+        }
+
+        files.forEach(diffFile => this.finishFile(diffFile));
+        return files.filter(diffFile => diffFile.path);
+    }
+
+    /**
+     * Create an empty file entry
+     * @returns {Object} File
+     */
+    createFile() {
+        return {
+            path: null,
+            oldPath: null,
+            newPath: null,
+            status: 'modified',
+            similarity: null,
+            oldMode: null,
+            newMode: null,
+            binary: false,
+            hunks: []
+        };
+    }
+
+    /**
+     * Create a line entry
+     * @param {string} change - 'added', 'removed' or 'context'
+     * @param {string} text - Line text without the diff marker
+     * @param {number|null} oldLine - Line number in the base file
+     * @param {number|null} newLine - Line number in the head file
+     * @returns {Object} Line
+     */
+    createLine(change, text, oldLine, newLine) {
+        return { change, text, oldLine, newLine, noNewline: false };
+    }
+
+    /**
+     * Apply one git extended header line (mode, rename, copy, binary...) to a file
+     * @param {string} line - Header line
+     * @param {Object} file - File the header belongs to
+     */
+    parseExtendedHeader(line, file) {
+        let match;
+        if ((match = line.match(/^new file mode (\d+)$/))) {
+            file.status = 'added';
+            file.newMode = match[1];
+            file.oldPath = null;
+        } else if ((match = line.match(/^deleted file mode (\d+)$/))) {
+            file.status = 'deleted';
+            file.oldMode = match[1];
+            file.newPath = null;
+        } else if ((match = line.match(/^old mode (\d+)$/))) {
+            file.oldMode = match[1];
+        } else if ((match = line.match(/^new mode (\d+)$/))) {
+            file.newMode = match[1];
+        } else if ((match = line.match(/^(rename|copy) from (.+)$/))) {
+            file.status = match[1] === 'rename' ? 'renamed' : 'copied';
+            file.oldPath = this.unquotePath(match[2]);
+        } else if ((match = line.match(/^(rename|copy) to (.+)$/))) {
+            file.status = match[1] === 'rename' ? 'renamed' : 'copied';
+            file.newPath = this.unquotePath(match[2]);
+        } else if ((match = line.match(/^similarity index (\d+)%$/))) {
+            file.similarity = parseInt(match[1], 10);
+        } else if ((match = line.match(/^index [0-9a-f]+\.\.[0-9a-f]+ (\d+)$/))) {
+            // Mode of a file whose mode didn't change
+            file.oldMode = file.oldMode || match[1];
+            file.newMode = file.newMode || match[1];
+        } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+            file.binary = true;
+        }
+    }
+
+    /**
+     * Parse a hunk header such as `@@ -38,7 +38,9 @@ export class HttpClient {`
+     * @param {string} line - Header line
+     * @returns {Object|null} Hunk without lines yet, or null if the header is malformed
+     */
+    parseHunkHeader(line) {
+        const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+        if (!match) return null;
+
+        return {
+            oldStart: parseInt(match[1], 10),
+            oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+            newStart: parseInt(match[3], 10),
+            newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+            context: match[5],
+            lines: []
+        };
+    }
+
+    /**
+     * Split the two paths of a `diff --git a/<old> b/<new>` header
+     * @param {string} paths - Header text after `diff --git `
+     * @returns {Array<string|null>} [oldPath, newPath] (null where they can't be told apart)
+     */
+    parseGitHeaderPaths(paths) {
+        // Quoted paths are unambiguous
+        const quoted = paths.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+        if (quoted && (paths.startsWith('"') || paths.endsWith('"'))) {
+            return [this.parseFilePath(quoted[1], 'a/'), this.parseFilePath(quoted[2], 'b/')];
+        }
+
+        // Unquoted paths may contain spaces; both halves are the same unless the file was renamed,
+        // in which case the rename headers that follow supply the paths
+        const half = (paths.length - 1) / 2;
+        if (Number.isInteger(half) && paths[half] === ' ' &&
+            paths.substring(2, half) === paths.substring(half + 3) &&
+            paths.startsWith('a/') && paths.substring(half + 1, half + 3) === 'b/') {
+            const path = paths.substring(2, half);
+            return [path, path];
+        }
+
+        const match = paths.match(/^a\/(.+?) b\/(.+)$/);
+        return match ? [match[1], match[2]] : [null, null];
+    }
+
+    /**
+     * Read the path of a `---` / `+++` line
+     * @param {string} value - Text after the marker, e.g. `a/src/app.ts`, `"b/caf\303\251.txt"` or `/dev/null`
+     * @param {string} prefix - Prefix git adds on this side ('a/' or 'b/')
+     * @returns {string|null} Path, or null for /dev/null
+     */
+    parseFilePath(value, prefix) {
+        // Some tools append a tab and a timestamp
+        const path = this.unquotePath(value.split('\t')[0]);
+        if (path === '/dev/null') return null;
+
+        return path.startsWith(prefix) ? path.substring(prefix.length) : path;
+    }
+
+    /**
+     * Undo git's C-style quoting of paths with special characters
+     * @param {string} path - Path as printed by git
+     * @returns {string} Path
+     */
+    unquotePath(path) {
+        if (path.length < 2 || !path.startsWith('"') || !path.endsWith('"')) return path;
+
+        const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11 };
+        const bytes = [];
+        const body = path.slice(1, -1);
+
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+            if (char !== '\\') {
+                // Non-escaped characters are ASCII in git's output, but keep anything else intact
+                bytes.push(...new TextEncoder().encode(char));
+                continue;
+            }
+
+            const next = body[i + 1];
+            if (/[0-7]/.test(next)) {
+                // Octal escapes are UTF-8 bytes
+                bytes.push(parseInt(body.substring(i + 1, i + 4), 8));
+                i += 3;
+            } else {
+                bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+                i += 1;
+            }
+        }
+
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+
+    /**
+     * Parse the commit headers of a `git format-patch` series (GitHub's PR .patch URL)
+     * @param {string} text - Patch series text; LF and CRLF line endings are both accepted
+     * @returns {Object[]} Commits in series order
+     */
+    parseCommits(text) {
+        const commits = [];
+        if (!text) return commits;
+
+        let commit = null;
+        let section = null; // 'headers', 'body' or null once the commit's diff starts
+        let header = null; // Last header read, so folded continuation lines can be appended to it
+        let body = [];
+
+        const finishCommit = () => {
+            if (commit) {
+                commit.body = body.join('\n').trim();
+            }
+        };
+        const parseAuthor = value => {
+            const match = this.decodeHeader(value).match(/^\s*"?(.*?)"?\s*<([^>]*)>\s*$/);
+            return match ? { name: match[1], email: match[2] } : null;
+        };
+
+        for (const rawLine of text.split('\n')) {
+            const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+            // "From <sha> <date>" starts each commit; diff lines always start with a marker, so they never match
+            const start = line.match(/^From ([0-9a-f]{40}) /);
+            if (start) {
+                finishCommit();
+                commit = { sha: start[1], subject: '', body: '', author: null };
+                commits.push(commit);
+                section = 'headers';
+                header = null;
+                body = [];
+                continue;
+            }
+            if (!commit || !section) continue;
+
+            if (section === 'headers') {
+                if (line === '') {
+                    commit.subject = this.decodeHeader(commit.subject).replace(/^\[PATCH[^\]]*\]\s*/, '');
+                    commit.author = commit.author === null ? null : parseAuthor(commit.author);
+                    section = 'body';
+                } else if (/^\s/.test(line) && header === 'subject') {
+                    commit.subject += ` ${line.trim()}`;
+                } else if (/^\s/.test(line) && header === 'from') {
+                    commit.author += ` ${line.trim()}`;
+                } else {
+                    const match = line.match(/^([\w-]+):\s?(.*)$/);
+                    header = match ? match[1].toLowerCase() : null;
+                    if (header === 'subject') {
+                        commit.subject = match[2];
+                    } else if (header === 'from') {
+                        commit.author = match[2];
+                    }
+                }
+            } else if (line === '---' || line.startsWith('diff --git ')) {
+                // The diffstat (or, without one, the diff) ends the message
+                section = null;
+            } else {
+                body.push(line);
+            }
+        }
+        finishCommit();
+
+        return commits;
+    }
+
+    /**
+     * Decode RFC 2047 encoded words ("=?UTF-8?q?caf=C3=A9?="), used by git for non-ASCII subjects
+     * @param {string} value - Header value
+     * @returns {string} Decoded value (words in other charsets are left as they are)
+     */
+    decodeHeader(value) {
+        return value
+            .replace(/(\?=)\s+(?==\?)/g, '$1') // Whitespace between encoded words is not part of the text
+            .replace(/=\?utf-8\?([qb])\?([^?]*)\?=/gi, (encoded, encoding, data) => {
+                let bytes;
+                if (encoding.toLowerCase() === 'b') {
+                    bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+                } else {
+                    const text = data.replace(/_/g, ' ');
+                    bytes = [];
+                    for (let i = 0; i < text.length; i++) {
+                        if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+                            bytes.push(parseInt(text.substr(i + 1, 2), 16));
+                            i += 2;
+                        } else {
+                            bytes.push(text.charCodeAt(i));
+                        }
+                    }
+                    bytes = new Uint8Array(bytes);
+                }
+                return new TextDecoder().decode(bytes);
+            });
+    }
+
+    /**
+     * Settle a file's path and status once all of its headers are read
+     * @param {Object} file - File
+     */
+    finishFile(file) {
+        if (!file.oldPath && file.newPath && file.status === 'modified') {
+            file.status = 'added';
+        } else if (file.oldPath && !file.newPath && file.status === 'modified') {
+            file.status = 'deleted';
+        } else if (file.status === 'modified' && file.oldPath !== file.newPath) {
+            file.status = 'renamed';
+        }
+
+        file.path = file.newPath || file.oldPath;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiffParser };
+}
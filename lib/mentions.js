@@ -0,0 +1,133 @@
+/**
+ * Mention index
+ * The people and teams taking part in a PR, ranked by how involved they are, for `@` completion.
+ *
+ * Model:
+ *   participant: { handle, type, displayName, avatarUrl, roles }
+ *     handle is a login (`octocat`) or an org/team slug (`octo/core`); type is 'user' or 'team';
+ *     roles maps each role (author, reviewer, assignee, committer, commenter) to how often it was seen
+ */
+class MentionIndex {
+    constructor() {
+        this.participants = new Map(); // lowercased handle -> participant
+
+        // Involvement per role; each further occurrence of a role (another comment or commit) adds one point
+        this.roleWeights = {
+            author: 50,
+            reviewer: 40,
+            assignee: 30,
+            committer: 20,
+            commenter: 10
+        };
+    }
+
+    /**
+     * Number of participants
+     * @returns {number} Participant count
+     */
+    get size() {
+        return this.participants.size;
+    }
+
+    /**
+     * Record a participant in one role; details missing from earlier sightings are filled in
+     * @param {Object} participant - { handle, type, displayName, avatarUrl, role }
+     */
+    add({ handle, type = 'user', displayName = null, avatarUrl = null, role }) {
+        if (!handle) return;
+
+        const key = handle.toLowerCase();
+        if (!this.participants.has(key)) {
+            this.participants.set(key, { handle, type, displayName: null, avatarUrl: null, roles: new Map() });
+        }
+
+        const existing = this.participants.get(key);
+        existing.displayName = existing.displayName || displayName;
+        existing.avatarUrl = existing.avatarUrl || avatarUrl;
+        if (role) {
+            existing.roles.set(role, (existing.roles.get(role) || 0) + 1);
+        }
+    }
+
+    /**
+     * Replace every participant
+     * @param {Object[]} participants - Sightings as accepted by add
+     */
+    setParticipants(participants) {
+        this.clear();
+        participants.forEach(participant => this.add(participant));
+    }
+
+    /**
+     * Remove every participant
+     */
+    clear() {
+        this.participants.clear();
+    }
+
+    /**
+     * Look up a participant
+     * @param {string} handle - Handle, with or without the leading `@` (any case)
+     * @returns {Object|null} Participant, or null if unknown
+     */
+    get(handle) {
+        return this.participants.get(handle.replace(/^@/, '').toLowerCase()) || null;
+    }
+
+    /**
+     * Get how involved a participant is in the PR
+     * @param {Object} participant - Participant
+     * @returns {number} Score (higher is more involved)
+     */
+    getScore(participant) {
+        let score = 0;
+        participant.roles.forEach((count, role) => {
+            score += (this.roleWeights[role] || 0) + count - 1;
+        });
+        return score;
+    }
+
+    /**
+     * Get the role a participant is best known for in the PR
+     * @param {Object} participant - Participant
+     * @returns {string|null} Highest weighted role, or null if none was recorded
+     */
+    getPrimaryRole(participant) {
+        let best = null;
+        participant.roles.forEach((count, role) => {
+            if (best === null || (this.roleWeights[role] || 0) > (this.roleWeights[best] || 0)) {
+                best = role;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Find participants whose handle or display name starts with a query
+     * @param {string} query - Text typed after `@` (empty lists everyone)
+     * @param {number} maxResults - Maximum number of participants to return
+     * @returns {Object[]} Participants, handle matches first, then by involvement
+     */
+    search(query, maxResults = 10) {
+        const lowerQuery = query.toLowerCase();
+        const handleMatch = participant => participant.handle.toLowerCase().startsWith(lowerQuery) ||
+            // `@core` finds the team `octo/core`
+            (participant.type === 'team' && participant.handle.toLowerCase().split('/').pop().startsWith(lowerQuery));
+        const nameMatch = participant => !!participant.displayName &&
+            participant.displayName.toLowerCase().split(/\s+/).some(part => part.startsWith(lowerQuery));
+
+        return Array.from(this.participants.values())
+            .filter(participant => handleMatch(participant) || nameMatch(participant))
+            .sort((a, b) =>
+                (handleMatch(b) - handleMatch(a)) ||
+                (this.getScore(b) - this.getScore(a)) ||
+                a.handle.localeCompare(b.handle)
+            )
+            .slice(0, maxResults);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MentionIndex };
+}
@@ -1,53 +1,329 @@
 /**
  * GitHub PR Content Parser
- * Extracts meaningful words from the "Files changed" tab for auto-complete
+ * Extracts meaningful words from the PR's unified diff (or the "Files changed" tab) for auto-complete
  */
 class GitHubParser {
     constructor() {
-        this.codeKeywords = new Set([
-            // Common programming keywords to include
-            'function', 'class', 'const', 'let', 'var', 'return', 'import', 'export',
-            'if', 'else', 'for', 'while', 'switch', 'case', 'break', 'continue',
-            'try', 'catch', 'finally', 'throw', 'async', 'await', 'promise',
-            'public', 'private', 'protected', 'static', 'abstract', 'interface',
-            'extends', 'implements', 'constructor', 'super', 'this', 'new',
-            'true', 'false', 'null', 'undefined', 'typeof', 'instanceof'
-        ]);
-        
         this.minWordLength = 2;
-        this.maxWordLength = 50;
+        this.maxWordLength = 1000; // Set from the engine's settings
+        this.stopwords = new StopwordPacks(); // Prose stopwords are not indexed; configured from the engine's settings
+        
+        // File extension -> tokenizer for diff lines in that language
+        this.tokenizers = new Map();
+        this.registerDefaultTokenizers();
+        
+        // Raw diff and patch series download
+        this.diffTimeout = 10000; // ms
+        this.maxDiffLength = 10 * 1024 * 1024; // Larger downloads are left to DOM scraping
+        this.downloadCache = new Map(); // 'diff' | 'patch' -> { key, text } of the last download, key being its URL and head commit
+        this.downloadFormats = {
+            diff: { pattern: /^(diff --git |--- )/m, description: 'unified diff' },
+            patch: { pattern: /^From [0-9a-f]{40} /m, description: 'patch series' }
+        };
+        this.diffParser = new DiffParser();
+        this.commits = []; // Commits read by the last extraction; their authors are PR participants
+        this.changedFiles = []; // { path, oldPath, status, url, lines } of each file the last extraction found changed
+        
+        // Selectors for the PR UI generation the page was rendered with
+        this.selectorProfiles = new SelectorProfiles();
+        this.selectorProfile = null; // Profile in use (see detectSelectorProfile)
+        this.selectorProfileMatched = false; // False while falling back to the classic profile
+        
+        // Diffs GitHub leaves collapsed ("Load diff", "Large diffs are not rendered by default")
+        // or only loads as the page is scrolled
+        this.maxDeferredDiffs = 30; // Fragment requests per page
+        this.deferredDiffUrls = new Set(); // Fragment URLs requested so far
+        this.deferredFiles = new Map(); // file path -> file diff element fetched in the background
+        this.loadingDeferredDiffs = false;
+        this.deferredContentListener = null; // Set by monitorForChanges
+        this.hasUnreportedDeferredContent = false;
+        
+        // Page changes (see monitorForChanges)
+        this.changeDelay = 500; // Milliseconds without diff mutations before words are extracted again
+        this.ownElements = '.github-pr-autocomplete-suggestions'; // Added to the page by the content script
+        
+        // Declarations from the whole head revision of changed files, outside the visible hunks
+        this.fullFileSymbols = false; // Set from the engine's settings
+        this.maxFileLength = 512 * 1024; // Bytes; larger files are skipped
+        this.maxFullFiles = 50; // Files fetched per extraction
+        this.fileRequestBatch = 4; // Files fetched at a time
+        this.fileSymbolCache = new Map(); // raw file URL -> declarations ([] when skipped)
+    }
+
+    /**
+     * Register a tokenizer for one or more file extensions
+     * @param {string[]} extensions - Extensions without the dot, e.g. ['ts', 'tsx']
+     * @param {Object} tokenizer - Language description:
+     *     { name, lineComments: string[], blockComments: [open, close][], strings: [open, close][],
+     *       charLiterals: boolean, keywords: Set<string>, declarations: RegExp[], stopwords: string }
+     *     Strings are tried in order, so list longer delimiters (`"""`) before shorter ones.
+     *     charLiterals treats `'x'` as a character literal and any other `'` (Rust lifetimes) as punctuation.
+     *     declarations find top-level names in whole files: each is matched against lines that don't start
+     *     inside a comment or string, and group 1 is a name or a comma-separated list (`export { a, b as c }`).
+     *     stopwords names the code stopword pack for the language (see StopwordPacks).
+     */
+    registerTokenizer(extensions, tokenizer) {
+        extensions.forEach(extension => this.tokenizers.set(extension.toLowerCase(), tokenizer));
+    }
+
+    /**
+     * Register the built-in tokenizers
+     */
+    registerDefaultTokenizers() {
+        const cStyleComments = { lineComments: ['//'], blockComments: [['/*', '*/']] };
+        
+        this.registerTokenizer(['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'], {
+            name: 'JavaScript/TypeScript',
+            stopwords: 'javascript',
+            ...cStyleComments,
+            strings: [['`', '`'], ['"', '"'], ["'", "'"]],
+            charLiterals: false,
+            keywords: new Set([
+                'abstract', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+                'debugger', 'declare', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+                'finally', 'for', 'from', 'function', 'get', 'if', 'implements', 'import', 'in', 'instanceof',
+                'interface', 'keyof', 'let', 'new', 'null', 'of', 'private', 'protected', 'public', 'readonly',
+                'return', 'set', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof',
+                'undefined', 'var', 'void', 'while', 'with', 'yield'
+            ]),
+            declarations: [
+                /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/,
+                /^(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/,
+                /^(?:export\s+)?(?:declare\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)/,
+                /^(?:export\s+)?(?:declare\s+)?(?:interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/,
+                /^export\s*(?:type\s*)?\{([^}]*)\}/
+            ]
+        });
+        
+        this.registerTokenizer(['py', 'pyi'], {
+            name: 'Python',
+            stopwords: 'python',
+            lineComments: ['#'],
+            blockComments: [],
+            strings: [['"""', '"""'], ["'''", "'''"], ['"', '"'], ["'", "'"]],
+            charLiterals: false,
+            keywords: new Set([
+                'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+                'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+                'is', 'lambda', 'match', 'case', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self',
+                'try', 'while', 'with', 'yield'
+            ]),
+            declarations: [
+                /^(?:async\s+)?def\s+([A-Za-z_]\w*)/,
+                /^class\s+([A-Za-z_]\w*)/,
+                /^([A-Z][A-Z0-9_]*)\s*(?::[^=]+)?=(?!=)/ // Module constants
+            ]
+        });
+        
+        this.registerTokenizer(['go'], {
+            name: 'Go',
+            stopwords: 'go',
+            ...cStyleComments,
+            strings: [['`', '`'], ['"', '"']],
+            charLiterals: true,
+            keywords: new Set([
+                'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'false',
+                'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'iota', 'map', 'nil', 'package', 'range',
+                'return', 'select', 'struct', 'switch', 'true', 'type', 'var'
+            ]),
+            declarations: [
+                /^func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,
+                /^(?:type|const|var)\s+([A-Za-z_]\w*)/,
+                /^\t([A-Za-z_]\w*)\s*(?:[A-Za-z_*[][\w.*[\]]*\s*)?=/ // Inside const ( ... ) and var ( ... ) blocks
+            ]
+        });
+        
+        this.registerTokenizer(['rs'], {
+            name: 'Rust',
+            stopwords: 'rust',
+            ...cStyleComments,
+            strings: [['"', '"']],
+            charLiterals: true,
+            keywords: new Set([
+                'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern',
+                'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub',
+                'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe',
+                'use', 'where', 'while'
+            ]),
+            declarations: [
+                /^(?:pub(?:\([^)]*\))?\s+)?(?:const\s+|async\s+|unsafe\s+|extern\s+"[^"]*"\s+)*(?:fn|struct|enum|trait|type|mod|const|static|union)\s+([A-Za-z_]\w*)/,
+                /^macro_rules!\s*([A-Za-z_]\w*)/
+            ]
+        });
+        
+        this.registerTokenizer(['java'], {
+            name: 'Java',
+            stopwords: 'java',
+            ...cStyleComments,
+            strings: [['"""', '"""'], ['"', '"']],
+            charLiterals: true,
+            keywords: new Set([
+                'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+                'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally',
+                'float', 'for', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+                'new', 'null', 'package', 'private', 'protected', 'public', 'record', 'return', 'short', 'static',
+                'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try', 'var',
+                'void', 'volatile', 'while'
+            ]),
+            declarations: [
+                /^(?:(?:public|protected|private|abstract|final|static|sealed)\s+)*(?:class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)/,
+                // Members of a top-level type (one level of indentation) with at least one modifier
+                /^(?: {4}|\t)(?:(?:public|protected|private|abstract|final|static|synchronized)\s+)+[\w$<>[\],.? ]+?\s+([A-Za-z_$][\w$]*)\s*[(=;]/
+            ]
+        });
+        
+        this.registerTokenizer(['c', 'h', 'cc', 'cpp', 'cxx', 'hh', 'hpp', 'hxx'], {
+            name: 'C/C++',
+            stopwords: 'c',
+            ...cStyleComments,
+            strings: [['"', '"']],
+            charLiterals: true,
+            keywords: new Set([
+                'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'constexpr', 'continue',
+                'default', 'define', 'delete', 'do', 'double', 'else', 'endif', 'enum', 'explicit', 'extern',
+                'false', 'float', 'for', 'friend', 'goto', 'if', 'ifdef', 'ifndef', 'include', 'inline', 'int',
+                'long', 'namespace', 'new', 'noexcept', 'nullptr', 'operator', 'override', 'pragma', 'private',
+                'protected', 'public', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch',
+                'template', 'this', 'throw', 'true', 'try', 'typedef', 'typename', 'union', 'unsigned', 'using',
+                'virtual', 'void', 'volatile', 'while'
+            ]),
+            declarations: [
+                /^#\s*define\s+([A-Za-z_]\w*)/,
+                /^(?:typedef\s+)?(?:class|struct|union|namespace|enum(?:\s+class)?)\s+([A-Za-z_]\w*)\s*(?:[:{]|$)/,
+                /^typedef\b[^;]*?([A-Za-z_]\w*)\s*;/,
+                // Function definitions: a return type, then a name and an opening parenthesis on a line without `;`
+                /^(?!return\b|else\b)[A-Za-z_][\w:<>,]*(?:[\s*&]+[A-Za-z_][\w:<>,]*)*[\s*&]+(?:[A-Za-z_]\w*::)*([A-Za-z_]\w*)\s*\([^;]*$/
+            ]
+        });
+    }
+
+    /**
+     * Find the tokenizer for a file
+     * @param {string|null} path - File path from the diff header
+     * @returns {Object|null} Tokenizer, or null for unknown languages
+     */
+    getTokenizer(path) {
+        if (!path) return null;
+
+        const fileName = path.split('/').pop();
+        const dot = fileName.lastIndexOf('.');
+        return dot > 0 ? this.tokenizers.get(fileName.substring(dot + 1).toLowerCase()) || null : null;
+    }
+
+    /**
+     * Find the code stopword pack for a file's language
+     * @param {string|null} path - File path
+     * @returns {string|null} Pack name, or null for unknown languages
+     */
+    getStopwordPack(path) {
+        const tokenizer = this.getTokenizer(path);
+        return tokenizer ? tokenizer.stopwords || null : null;
+    }
+
+    /**
+     * Detect which PR UI generation the page uses and switch to its selector profile
+     * @param {Document|Element} root - Page to look at (default: the current document)
+     * @returns {Object} Detected profile, or the classic profile if none matched
+     */
+    detectSelectorProfile(root = document) {
+        const detected = this.selectorProfiles.detect(root);
+        const profile = detected || this.selectorProfiles.get('classic');
+
+        if (profile !== this.selectorProfile || !!detected !== this.selectorProfileMatched) {
+            this.selectorProfile = profile;
+            this.selectorProfileMatched = !!detected;
+            if (detected) {
+                console.log(`GitHub PR AutoComplete: Using selector profile ${this.describeSelectorProfile()}`);
+            } else {
+                console.warn(`GitHub PR AutoComplete: No selector profile matched this page, using ${this.describeSelectorProfile()}`);
+            }
+        }
+
+        return profile;
+    }
+
+    /**
+     * Get the selector profile in use, detecting it on first use
+     * @returns {Object} Selector profile
+     */
+    getSelectorProfile() {
+        return this.selectorProfile || this.detectSelectorProfile();
+    }
+
+    /**
+     * Describe the selector profile in use for logs and stats
+     * @returns {string} e.g. "react v4", or "none matched (classic v4)"
+     */
+    describeSelectorProfile() {
+        const profile = this.getSelectorProfile();
+        const description = `${profile.name} v${profile.version}`;
+        return this.selectorProfileMatched ? description : `none matched (${description})`;
     }
 
     /**
      * Extract all meaningful words from GitHub PR files changed tab
-     * @returns {Promise<Set<string>>} Set of unique words found in the PR
+     * @returns {Promise<Vocabulary>} Each word found in the PR with its occurrence count and diff locations
      */
     async extractWordsFromPR() {
-        const words = new Set();
+        const words = new Vocabulary();
         
         console.log('GitHub PR AutoComplete: Starting word extraction...');
         
-        // Wait for the page to load and try multiple times if needed
-        const filesChangedContent = await this.getFilesChangedContent();
+        // Single-page navigation can move between UI generations (e.g. Conversation to Files changed)
+        this.detectSelectorProfile();
         
-        console.log('GitHub PR AutoComplete: Files changed content:', filesChangedContent);
+        // The raw diff covers every file on every tab; the rendered diff is the fallback
+        const diffText = await this.fetchPRDiff();
+        let changedPaths;
         
-        if (!filesChangedContent) {
-            console.log('GitHub PR AutoComplete: Files changed content not found');
-            return words;
-        }
+        if (diffText) {
+            console.log('GitHub PR AutoComplete: Extracting from raw diff...');
+            const files = this.diffParser.parse(diffText);
+            await this.extractFromDiff(files, words);
+            files.forEach(file => this.extractWordsFromFileName(file.path, words));
+            changedPaths = files.filter(file => file.newPath && !file.binary).map(file => file.newPath);
+            this.changedFiles = await this.linkChangedFiles(files.map(file => ({
+                path: file.path,
+                oldPath: file.oldPath,
+                status: file.status,
+                lines: this.getDiffLines(file)
+            })));
+        } else {
+            const filesChangedContent = await this.getFilesChangedContent();
+            
+            console.log('GitHub PR AutoComplete: Files changed content:', filesChangedContent);
+            
+            if (!filesChangedContent) {
+                console.log('GitHub PR AutoComplete: Files changed content not found');
+                return words;
+            }
 
-        if (typeof filesChangedContent.querySelectorAll !== 'function') {
-            console.error('GitHub PR AutoComplete: filesChangedContent is not a DOM element:', typeof filesChangedContent, filesChangedContent);
-            return words;
-        }
+            if (typeof filesChangedContent.querySelectorAll !== 'function') {
+                console.error('GitHub PR AutoComplete: filesChangedContent is not a DOM element:', typeof filesChangedContent, filesChangedContent);
+                return words;
+            }
 
-        // Extract words from different parts of the PR
-        console.log('GitHub PR AutoComplete: Extracting from code blocks...');
-        this.extractFromCodeBlocks(filesChangedContent, words);
-        
-        console.log('GitHub PR AutoComplete: Extracting from file names...');
-        this.extractFromFileNames(words);
+            // Extract words from different parts of the PR
+            console.log('GitHub PR AutoComplete: Extracting from code blocks...');
+            this.extractFromCodeBlocks(filesChangedContent, words);
+            
+            console.log('GitHub PR AutoComplete: Extracting from collapsed diffs...');
+            this.extractFromDeferredDiffs(filesChangedContent, words);
+            this.loadDeferredDiffs(filesChangedContent);
+            
+            console.log('GitHub PR AutoComplete: Extracting from file names...');
+            this.extractFromFileNames(words);
+            
+            const fileElements = Array.from(filesChangedContent.querySelectorAll(this.getSelectorProfile().file))
+                .filter(fileElement => this.getFilePath(fileElement));
+            changedPaths = fileElements.map(fileElement => this.getFilePath(fileElement));
+            this.changedFiles = await this.linkChangedFiles(fileElements.map(fileElement => ({
+                path: this.getFilePath(fileElement),
+                oldPath: null,
+                status: null,
+                lines: this.getRenderedLines(fileElement)
+            })));
+        }
         
         console.log('GitHub PR AutoComplete: Extracting from comments...');
         this.extractFromComments(words);
@@ -56,6 +332,15 @@ class GitHubParser {
         console.log('GitHub PR AutoComplete: Extracting from PR title and description...');
         this.extractFromPRMetadata(words);
         
+        console.log('GitHub PR AutoComplete: Extracting from commit messages...');
+        await this.extractFromCommits(words);
+        
+        // Last, so names the diff or the page already mention keep their own tags
+        if (this.fullFileSymbols) {
+            console.log('GitHub PR AutoComplete: Extracting declarations from changed files...');
+            await this.extractFromFullFiles(changedPaths, words);
+        }
+        
         // Add some common programming words as fallback
         if (words.size === 0) {
             console.log('GitHub PR AutoComplete: No words found, adding common programming words as fallback');
@@ -67,34 +352,631 @@ class GitHubParser {
         return words;
     }
 
+    /**
+     * Build the URL of the current PR's unified diff
+     * @returns {string|null} e.g. https://github.com/owner/repo/pull/12.diff, or null outside a PR
+     */
+    getDiffUrl() {
+        const prInfo = this.getPRInfo();
+        if (!prInfo) return null;
+
+        return `${this.getRepoUrl()}/pull/${prInfo.number}.diff`;
+    }
+
+    /**
+     * Build the URL of the current PR's commits as a `git format-patch` series
+     * @returns {string|null} e.g. https://github.com/owner/repo/pull/12.patch, or null outside a PR
+     */
+    getPatchUrl() {
+        const prInfo = this.getPRInfo();
+        if (!prInfo) return null;
+
+        return `${this.getRepoUrl()}/pull/${prInfo.number}.patch`;
+    }
+
+    /**
+     * Build the URL of the current PR's "Files changed" tab
+     * @returns {string|null} e.g. https://github.com/owner/repo/pull/12/files, or null outside a PR
+     */
+    getFilesUrl() {
+        const prInfo = this.getPRInfo();
+        if (!prInfo) return null;
+
+        return `${this.getRepoUrl()}/pull/${prInfo.number}/files`;
+    }
+
+    /**
+     * List the lines a parsed file diff shows on each side
+     * @param {Object} file - File from DiffParser.parse
+     * @returns {Object} { left, right }: Maps from base / head line numbers to their change
+     *     ('added', 'removed' or 'context')
+     */
+    getDiffLines(file) {
+        const lines = { left: new Map(), right: new Map() };
+        file.hunks.forEach(hunk => hunk.lines.forEach(line => {
+            if (line.oldLine !== null) lines.left.set(line.oldLine, line.change);
+            if (line.newLine !== null) lines.right.set(line.newLine, line.change);
+        }));
+        return lines;
+    }
+
+    /**
+     * List the lines a rendered file diff shows on each side
+     * @param {Element} fileElement - File diff container
+     * @returns {Object} { left, right }, as from getDiffLines
+     */
+    getRenderedLines(fileElement) {
+        const profile = this.getSelectorProfile();
+        const lines = { left: new Map(), right: new Map() };
+        fileElement.querySelectorAll(profile.codeLine).forEach(lineElement => {
+            // Read each line once, from the innermost element, and skip number cells and empty split halves:
+            // only a line whose number cell is anchored on its own side (L for base, R for head) counts
+            if (lineElement.querySelector(profile.codeLine) || lineElement.matches(profile.lineNumber)) return;
+
+            const location = this.getLineLocation(lineElement);
+            const anchorSide = location && location.anchor && location.anchor.match(/([LR])\d+$/);
+            if (anchorSide && anchorSide[1] === (location.side === 'left' ? 'L' : 'R')) {
+                lines[location.side].set(location.line, this.getLineChange(lineElement));
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Add to each changed file the link to its diff in the "Files changed" tab
+     * @param {Object[]} files - Changed files as { path, status } (other details are kept)
+     * @param {Document|Element} root - Page whose rendered diffs are checked for anchors first
+     *     (default: the current document)
+     * @param {string|null} filesUrl - "Files changed" URL (default: the current PR's, see getFilesUrl)
+     * @returns {Promise<Object[]>} The files with their url added (null outside a PR)
+     */
+    async linkChangedFiles(files, root = document, filesUrl = this.getFilesUrl()) {
+        const pageAnchors = new Map();
+        root.querySelectorAll(this.getSelectorProfile().file).forEach(fileElement => {
+            const path = this.getFilePath(fileElement);
+            const anchor = this.getFileAnchor(fileElement);
+            if (path && anchor && !pageAnchors.has(path)) {
+                pageAnchors.set(path, anchor);
+            }
+        });
+
+        return Promise.all(files.map(async file => {
+            const anchor = filesUrl ? (pageAnchors.get(file.path) || await this.hashFileAnchor(file.path)) : null;
+            return { ...file, url: anchor ? `${filesUrl}#${anchor}` : null };
+        }));
+    }
+
+    /**
+     * Read the anchor of a rendered file diff
+     * @param {Element} fileElement - File diff container
+     * @returns {string|null} e.g. diff-4b1a…, or null if the diff carries none
+     */
+    getFileAnchor(fileElement) {
+        if (/^diff-[0-9a-f]+$/.test(fileElement.id)) {
+            return fileElement.id;
+        }
+
+        // Line number links (#diff-…R42) point into the file; the header links the file itself
+        const link = Array.from(fileElement.querySelectorAll('a[href^="#diff-"]'))
+            .find(candidate => /^#diff-[0-9a-f]+$/.test(candidate.getAttribute('href')));
+        return link ? link.getAttribute('href').substring(1) : null;
+    }
+
+    /**
+     * Work out the anchor GitHub gives a file's diff: `diff-` and the SHA-256 of its path
+     * @param {string} path - File path
+     * @returns {Promise<string|null>} Anchor, or null where Web Crypto is unavailable
+     */
+    async hashFileAnchor(path) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(path));
+        const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        return `diff-${hex}`;
+    }
+
+    /**
+     * Build the URL of the current PR's repository
+     * @returns {string|null} e.g. https://github.com/owner/repo, or null outside a PR
+     */
+    getRepoUrl() {
+        const prInfo = this.getPRInfo();
+        if (!prInfo) return null;
+
+        return `${window.location.origin}/${prInfo.owner}/${prInfo.repo}`;
+    }
+
+    /**
+     * Add the top-level declarations of changed files, read from their head revision, to the vocabulary.
+     * Names already in the vocabulary are left alone; new ones are tagged 'same-file' so they rank
+     * below tokens from the diff itself.
+     * @param {string[]} paths - Changed files (deleted and binary files excluded)
+     * @param {Vocabulary} words - Vocabulary to add to
+     * @param {string|null} headSha - Commit to read the files at (default: the PR's head commit)
+     * @param {string|null} repoUrl - Repository URL (default: the current PR's, see getRepoUrl)
+     */
+    async extractFromFullFiles(paths, words, headSha = this.getHeadSha(), repoUrl = this.getRepoUrl()) {
+        if (!headSha || !repoUrl) {
+            console.log('GitHub PR AutoComplete: Head commit unknown, skipping full-file declarations');
+            return;
+        }
+
+        const files = Array.from(new Set(paths))
+            .filter(path => this.getTokenizer(path))
+            .slice(0, this.maxFullFiles);
+
+        for (let start = 0; start < files.length; start += this.fileRequestBatch) {
+            const batch = files.slice(start, start + this.fileRequestBatch);
+            const declarations = await Promise.all(batch.map(path =>
+                this.getFileDeclarations(this.getRawFileUrl(repoUrl, headSha, path), path)
+            ));
+
+            batch.forEach((path, index) => {
+                declarations[index].forEach(({ name, line }) => {
+                    if (words.has(name)) return;
+                    // No anchor: the line is outside the hunks, so the "Files changed" tab has none for it
+                    this.addWord(words, name, {
+                        location: { path, side: 'right', line },
+                        kind: 'identifier',
+                        change: 'same-file'
+                    });
+                });
+            });
+        }
+    }
+
+    /**
+     * Build the raw ("View file" → "Raw") URL of a file at a commit
+     * @param {string} repoUrl - Repository URL
+     * @param {string} sha - Commit SHA
+     * @param {string} path - File path
+     * @returns {string} URL
+     */
+    getRawFileUrl(repoUrl, sha, path) {
+        return `${repoUrl}/raw/${sha}/${path.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    /**
+     * Fetch a file and find its top-level declarations (cached by URL, which pins the commit)
+     * @param {string} url - Raw file URL
+     * @param {string} path - File path, to pick the language
+     * @returns {Promise<Object[]>} Declarations as { name, line } (empty if the file was skipped)
+     */
+    async getFileDeclarations(url, path) {
+        if (!this.fileSymbolCache.has(url)) {
+            const text = await this.fetchFileText(url);
+            this.fileSymbolCache.set(url, text === null ? [] : this.extractDeclarations(text, this.getTokenizer(path)));
+        }
+        return this.fileSymbolCache.get(url);
+    }
+
+    /**
+     * Download a text file with the user's GitHub session, giving up past maxFileLength bytes
+     * Raw file URLs redirect to raw.githubusercontent.com, which allows any origin but no credentials,
+     * so in the extension the background script downloads them with its host permissions.
+     * @param {string} url - File URL
+     * @returns {Promise<string|null>} File text, or null if it is missing, too large or binary
+     */
+    async fetchFileText(url) {
+        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage(
+                    { action: 'fetchFile', url, maxLength: this.maxFileLength, timeout: this.diffTimeout },
+                    reply => resolve(chrome.runtime.lastError ? null : reply)
+                );
+            });
+            if (!response || !response.success) {
+                console.log(`GitHub PR AutoComplete: File skipped (${response ? response.error : 'no response'})`);
+                return null;
+            }
+            return response.text;
+        }
+
+        return this.downloadFileText(url);
+    }
+
+    /**
+     * Download a text file from the page itself (test pages outside the extension), as fetchFileText
+     * @param {string} url - File URL
+     * @returns {Promise<string|null>} File text, or null if it is missing, too large or binary
+     */
+    async downloadFileText(url) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.diffTimeout);
+
+        try {
+            const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+            if (!response.ok) {
+                console.log(`GitHub PR AutoComplete: File request failed with status ${response.status}`);
+                return null;
+            }
+
+            const declaredLength = parseInt(response.headers.get('Content-Length'), 10);
+            if (declaredLength > this.maxFileLength) {
+                controller.abort();
+                return null;
+            }
+
+            // The length header may be missing (compressed or chunked responses), so count while reading
+            const reader = response.body.getReader();
+            const chunks = [];
+            let received = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                received += value.length;
+                if (received > this.maxFileLength) {
+                    controller.abort();
+                    return null;
+                }
+                chunks.push(value);
+            }
+
+            const bytes = new Uint8Array(received);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+
+            const text = new TextDecoder().decode(bytes);
+            return text.includes('\u0000') ? null : text;
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.warn('GitHub PR AutoComplete: Could not fetch file', error);
+            }
+            return null;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Find the top-level declarations of a whole file
+     * @param {string} text - File contents
+     * @param {Object|null} tokenizer - Language description (see registerTokenizer)
+     * @returns {Object[]} Declarations as { name, line }, in file order
+     */
+    extractDeclarations(text, tokenizer) {
+        const declarations = [];
+        if (!tokenizer || !tokenizer.declarations) return declarations;
+
+        const state = { open: null };
+        text.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+            // Skip lines that start inside a block comment or multi-line string, but keep the scan going
+            const startsInside = state.open;
+            this.tokenizeCode(line, tokenizer, state);
+            if (startsInside) return;
+
+            tokenizer.declarations.forEach(pattern => {
+                const match = line.match(pattern);
+                if (!match) return;
+
+                match[1].split(',').forEach(item => {
+                    const name = item.trim().split(/\s+as\s+/).pop().trim();
+                    if (/^[A-Za-z_$][\w$]*$/.test(name) && !tokenizer.keywords.has(name) && this.isValidWord(name, 'code')) {
+                        declarations.push({ name, line: index + 1 });
+                    }
+                });
+            });
+        });
+
+        return declarations;
+    }
+
+    /**
+     * Download a PR's unified diff with the user's GitHub session
+     * @param {string|null} url - Diff URL (default: the current PR's, see getDiffUrl)
+     * @param {string|null} headSha - Head commit the diff is for; a diff already fetched for the same
+     *     URL and head commit is reused (default: the page's head commit)
+     * @returns {Promise<string|null>} Diff text, or null if it could not be fetched
+     */
+    async fetchPRDiff(url = this.getDiffUrl(), headSha = this.getHeadSha()) {
+        return this.fetchPRText('diff', url, headSha);
+    }
+
+    /**
+     * Download a PR's commits as a `git format-patch` series with the user's GitHub session
+     * @param {string|null} url - Patch URL (default: the current PR's, see getPatchUrl)
+     * @param {string|null} headSha - Head commit the series ends with; cached like fetchPRDiff
+     * @returns {Promise<string|null>} Patch text, or null if it could not be fetched
+     */
+    async fetchPRPatch(url = this.getPatchUrl(), headSha = this.getHeadSha()) {
+        return this.fetchPRText('patch', url, headSha);
+    }
+
+    /**
+     * Download one of a PR's plain text views, keeping the last one of each format
+     * @param {string} format - 'diff' or 'patch' (see downloadFormats)
+     * @param {string|null} url - URL to download
+     * @param {string|null} headSha - Head commit the text is for, part of the cache key (null: not cached)
+     * @returns {Promise<string|null>} Text, or null if it could not be fetched
+     */
+    async fetchPRText(format, url, headSha) {
+        if (!url || typeof fetch !== 'function') return null;
+
+        // Without the head commit a cached copy can't be told apart from a newer push, so download again
+        const key = headSha ? `${url}@${headSha}` : null;
+        const cached = this.downloadCache.get(format);
+        if (key && cached && cached.key === key) {
+            return cached.text;
+        }
+
+        const { pattern, description } = this.downloadFormats[format];
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.diffTimeout);
+
+        try {
+            const response = await fetch(url, {
+                credentials: 'include',
+                headers: { Accept: 'text/plain' },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                console.log(`GitHub PR AutoComplete: Request for the ${description} failed with status ${response.status}`);
+                return null;
+            }
+
+            const text = await response.text();
+            if (text.length > this.maxDiffLength) {
+                console.log(`GitHub PR AutoComplete: The ${description} is too large to index (${text.length} characters)`);
+                return null;
+            }
+            if (!pattern.test(text)) {
+                // Signed-out users get the login page instead
+                console.log(`GitHub PR AutoComplete: Response is not a ${description}`);
+                return null;
+            }
+
+            if (key) {
+                this.downloadCache.set(format, { key, text });
+            }
+            return text;
+        } catch (error) {
+            console.warn(`GitHub PR AutoComplete: Could not fetch the ${description}`, error);
+            return null;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Extract words from collapsed or not yet loaded diffs fetched in the background
+     * (files GitHub has since rendered in the page are skipped, extractFromCodeBlocks has read them)
+     * @param {Element} container - The files changed container
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     */
+    extractFromDeferredDiffs(container, words) {
+        const renderedPaths = new Set(
+            Array.from(container.querySelectorAll(this.getSelectorProfile().file))
+                .filter(fileElement => this.hasCodeLines(fileElement))
+                .map(fileElement => this.getFilePath(fileElement))
+        );
+
+        this.deferredFiles.forEach((fileElement, path) => {
+            if (!renderedPaths.has(path)) {
+                this.extractFromCodeBlocks(fileElement, words);
+            }
+        });
+    }
+
+    /**
+     * Fetch collapsed and lazily loaded diffs in the background, including placeholders inside
+     * the fetched fragments, and report new content to the change listener (fire and forget)
+     * @param {Element} container - The files changed container
+     */
+    async loadDeferredDiffs(container) {
+        if (this.loadingDeferredDiffs) return;
+        this.loadingDeferredDiffs = true;
+
+        const queue = this.findDeferredDiffs(container);
+        let loaded = false;
+
+        try {
+            while (queue.length > 0 && this.deferredDiffUrls.size < this.maxDeferredDiffs) {
+                const placeholder = queue.shift();
+                if (this.deferredDiffUrls.has(placeholder.url)) continue;
+                this.deferredDiffUrls.add(placeholder.url);
+
+                const fragment = await this.fetchDiffFragment(placeholder.url);
+                if (!fragment) continue;
+
+                loaded = this.storeDeferredFiles(fragment, placeholder.path) || loaded;
+                queue.push(...this.findDeferredDiffs(fragment));
+            }
+        } finally {
+            this.loadingDeferredDiffs = false;
+        }
+
+        if (loaded) {
+            console.log(`GitHub PR AutoComplete: Loaded ${this.deferredFiles.size} collapsed diffs in the background`);
+            this.reportDeferredContent();
+        }
+    }
+
+    /**
+     * Find placeholders of diffs that haven't been fetched yet
+     * @param {Element} root - Element to search
+     * @returns {Object[]} Placeholders as { url, path } (path is null for placeholders of several files)
+     */
+    findDeferredDiffs(root) {
+        const profile = this.getSelectorProfile();
+        const placeholders = [];
+        if (!profile.deferredDiff) return placeholders;
+
+        root.querySelectorAll(profile.deferredDiff).forEach(element => {
+            const source = element.getAttribute('data-fragment-url') || element.getAttribute('src');
+            if (!source) return;
+
+            const url = new URL(source, window.location.href);
+            if (url.origin !== window.location.origin || this.deferredDiffUrls.has(url.href)) return;
+
+            placeholders.push({
+                url: url.href,
+                path: this.getFilePath(element.closest(profile.file))
+            });
+        });
+
+        return placeholders;
+    }
+
+    /**
+     * Fetch the HTML of a diff fragment with the user's GitHub session
+     * @param {string} url - Fragment URL
+     * @returns {Promise<Element|null>} Body of the parsed fragment, or null if it could not be fetched
+     */
+    async fetchDiffFragment(url) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.diffTimeout);
+
+        try {
+            const response = await fetch(url, {
+                credentials: 'include',
+                headers: { Accept: 'text/html', 'X-Requested-With': 'XMLHttpRequest' },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                console.log(`GitHub PR AutoComplete: Diff fragment request failed with status ${response.status}`);
+                return null;
+            }
+
+            const html = await response.text();
+            return new DOMParser().parseFromString(html, 'text/html').body;
+        } catch (error) {
+            console.warn('GitHub PR AutoComplete: Could not fetch diff fragment', error);
+            return null;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Keep the file diffs of a fetched fragment for extraction
+     * @param {Element} fragment - Parsed fragment body
+     * @param {string|null} path - File the placeholder belonged to; single file fragments
+     *     only hold the diff table, so they are wrapped in an element carrying the path
+     * @returns {boolean} True if any file diff with code was found
+     */
+    storeDeferredFiles(fragment, path) {
+        const profile = this.getSelectorProfile();
+        let fileElements = Array.from(fragment.querySelectorAll(profile.file))
+            .filter(fileElement => !fileElement.parentElement.closest(profile.file));
+
+        if (fileElements.length === 0 && path) {
+            const wrapper = fragment.ownerDocument.createElement('div');
+            wrapper.setAttribute(profile.filePathAttributes[0], path);
+            wrapper.append(...Array.from(fragment.childNodes));
+            fragment.appendChild(wrapper);
+            fileElements = [wrapper];
+        }
+
+        let stored = false;
+        fileElements.forEach(fileElement => {
+            const filePath = this.getFilePath(fileElement);
+            if (filePath && this.hasCodeLines(fileElement)) {
+                this.deferredFiles.set(filePath, fileElement);
+                stored = true;
+            }
+        });
+
+        return stored;
+    }
+
+    /**
+     * Check whether a file diff element contains rendered code lines
+     * @param {Element} fileElement - File diff container
+     * @returns {boolean} True if it has code lines
+     */
+    hasCodeLines(fileElement) {
+        return !!fileElement.querySelector(this.getSelectorProfile().codeLine);
+    }
+
+    /**
+     * Tell the change listener that background diffs arrived, or remember to once there is one
+     */
+    reportDeferredContent() {
+        if (this.deferredContentListener) {
+            this.deferredContentListener();
+        } else {
+            this.hasUnreportedDeferredContent = true;
+        }
+    }
+
+    /**
+     * Extract words from parsed diff files
+     * @param {Object[]} files - Files from DiffParser.parse
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     */
+    async extractFromDiff(files, words) {
+        // Line anchors are worked out as GitHub renders them, `diff-<hash>L<old>` / `diff-<hash>R<new>`
+        const fileAnchors = await Promise.all(files.map(file => this.hashFileAnchor(file.path)));
+
+        files.forEach((file, index) => {
+            const tokenizer = this.getTokenizer(file.path);
+            const fileAnchor = fileAnchors[index];
+
+            file.hunks.forEach(hunk => {
+                // Each side is scanned as its own file so a comment opened on a removed line doesn't
+                // swallow the added lines after it; hunks don't continue each other
+                const oldState = { open: null };
+                const newState = { open: null };
+
+                hunk.lines.forEach(line => {
+                    const side = line.change === 'removed' ? 'left' : 'right';
+                    const number = side === 'left' ? line.oldLine : line.newLine;
+                    const location = {
+                        path: (side === 'left' && file.oldPath) || file.path,
+                        side,
+                        line: number,
+                        anchor: fileAnchor ? `${fileAnchor}${side === 'left' ? 'L' : 'R'}${number}` : null
+                    };
+                    const lineSource = { location, change: line.change };
+
+                    if (!tokenizer) {
+                        this.extractWordsFromText(line.text, words, lineSource);
+                        return;
+                    }
+
+                    if (line.change === 'context') {
+                        // Unchanged lines are counted once but still move the base side's scan along
+                        this.tokenizeCode(line.text, tokenizer, oldState);
+                    }
+                    this.extractWordsFromCode(line.text, words, tokenizer, line.change === 'removed' ? oldState : newState, lineSource);
+                });
+            });
+        });
+    }
+
+    /**
+     * Find the diff container of the selector profile in use
+     * @param {Document|Element} root - Page to search (default: the current document)
+     * @returns {Element|null} The files changed container element
+     */
+    findFilesContainer(root = document) {
+        for (const selector of this.getSelectorProfile().filesContainer) {
+            const element = root.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get the files changed content from GitHub PR page
      * @returns {Promise<Element|null>} The files changed container element
      */
     async getFilesChangedContent() {
-        // Try multiple selectors as GitHub's DOM structure can vary
-        const selectors = [
-            '#files_bucket',
-            '.js-diff-progressive-container',
-            '[data-target="diff-layout.diffContainer"]',
-            '.diff-view',
-            '.js-diff-table',
-            '.file-diff-split',
-            '.js-file-content',
-            '[data-testid="pr-diff-view"]',
-            '.pr-toolbar + div', // Sometimes the diff is right after the toolbar
-            'div[data-hpc]' // GitHub's progressive container
-        ];
-
         console.log('GitHub PR AutoComplete: Searching for files changed content...');
 
         // First, try to find the element immediately
-        for (const selector of selectors) {
-            const element = document.querySelector(selector);
-            if (element) {
-                console.log(`GitHub PR AutoComplete: Found files content with selector: ${selector}`, element);
-                return element;
-            }
+        const element = this.findFilesContainer();
+        if (element) {
+            console.log(`GitHub PR AutoComplete: Found files content with the ${this.describeSelectorProfile()} profile`, element);
+            return element;
         }
 
         console.log('GitHub PR AutoComplete: No immediate match found, waiting for DOM changes...');
@@ -102,13 +984,12 @@ class GitHubParser {
         // If not found, wait and try again with MutationObserver
         return new Promise((resolve) => {
             const observer = new MutationObserver((mutations, obs) => {
-                for (const selector of selectors) {
-                    const element = document.querySelector(selector);
-                    if (element) {
-                        obs.disconnect();
-                        resolve(element);
-                        return;
-                    }
+                // The diff may be rendered by a different UI than the page shell
+                this.detectSelectorProfile();
+                const container = this.findFilesContainer();
+                if (container) {
+                    obs.disconnect();
+                    resolve(container);
                 }
             });
             
@@ -120,7 +1001,7 @@ class GitHubParser {
             // Timeout after 5 seconds
             setTimeout(() => {
                 observer.disconnect();
-                console.log('GitHub PR AutoComplete: Timeout waiting for files content, using document as fallback');
+                console.warn(`GitHub PR AutoComplete: No files content found with the ${this.describeSelectorProfile()} profile, using document as fallback`);
                 // As a last resort, use the document body if we're on a PR page
                 if (window.location.href.includes('/pull/')) {
                     resolve(document.body);
@@ -134,7 +1015,7 @@ class GitHubParser {
     /**
      * Extract words from code blocks in the diff
      * @param {Element} container - The files changed container
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
      */
     extractFromCodeBlocks(container, words) {
         if (!container || typeof container.querySelectorAll !== 'function') {
@@ -143,13 +1024,8 @@ class GitHubParser {
         }
 
         // Find all code lines (added, removed, and context)
-        const codeLines = container.querySelectorAll(
-            '.blob-code-inner, .blob-code, .js-file-line, .diff-line-code, ' +
-            '[data-code-marker], .blob-code-content, .js-blob-code-container td, ' +
-            '.diff-table td, .js-file-line-container, .blob-code-marker, ' +
-            '.blob-code-addition, .blob-code-deletion, .blob-code-context, ' +
-            'td.blob-code, td.blob-code-inner, .js-file-line-container td'
-        );
+        const codeLineSelector = this.getSelectorProfile().codeLine;
+        const codeLines = container.querySelectorAll(codeLineSelector);
 
         console.log(`GitHub PR AutoComplete: Found ${codeLines.length} code lines`);
 
@@ -175,22 +1051,116 @@ class GitHubParser {
                 console.log('GitHub PR AutoComplete: Found text content using alternative method');
             }
         } else {
+            // Block comments and multi-line strings carry over from one line of a file to the next
+            const scanStates = new Map(); // file path -> tokenizer state
+            
             codeLines.forEach(line => {
+                // Cells and the code spans inside them both match; read each line once, from the innermost element
+                if (line.querySelector(codeLineSelector)) return;
+                
                 const text = line.textContent || '';
-                this.extractWordsFromText(text, words);
+                const location = this.getLineLocation(line);
+                const lineSource = { location, change: this.getLineChange(line) };
+                const tokenizer = location && this.getTokenizer(location.path);
+                
+                if (tokenizer) {
+                    if (!scanStates.has(location.path)) {
+                        scanStates.set(location.path, { open: null });
+                    }
+                    this.extractWordsFromCode(text, words, tokenizer, scanStates.get(location.path), lineSource);
+                } else {
+                    this.extractWordsFromText(text, words, lineSource);
+                }
             });
         }
     }
 
+    /**
+     * Work out where a diff line is: its file, side, line number and anchor
+     * @param {Element} lineElement - Code cell (or an element inside it) of a diff line
+     * @returns {Object|null} { path, side, line, anchor } (line and anchor may be null), or null outside a file diff
+     */
+    getLineLocation(lineElement) {
+        if (!lineElement || typeof lineElement.closest !== 'function') return null;
+
+        const profile = this.getSelectorProfile();
+        const fileElement = lineElement.closest(profile.file);
+        const path = this.getFilePath(fileElement);
+        if (!path) return null;
+
+        // Split view marks each half of the row; in unified view deletions are the base (left) side
+        const cell = lineElement.closest('td');
+        const side = (cell && cell.getAttribute('data-split-side')) ||
+            (this.getLineChange(lineElement) === 'removed' ? 'left' : 'right');
+
+        // Line number cells are anchored as diff-<hash>L<n> (base) or diff-<hash>R<n> (head)
+        const row = lineElement.closest('tr');
+        const numberCells = row ? Array.from(row.querySelectorAll(profile.lineNumber)) : [];
+        const anchorPattern = side === 'left' ? /L\d+$/ : /R\d+$/;
+        const previousCell = cell && cell.previousElementSibling;
+        const numberCell = numberCells.find(numberCellCandidate => anchorPattern.test(numberCellCandidate.id)) ||
+            (previousCell && previousCell.hasAttribute('data-line-number') ? previousCell : null) ||
+            (side === 'left' ? numberCells[0] : numberCells[numberCells.length - 1]);
+
+        const line = numberCell ? parseInt(numberCell.getAttribute('data-line-number'), 10) : NaN;
+
+        return {
+            path,
+            side,
+            line: Number.isNaN(line) ? null : line,
+            anchor: numberCell && numberCell.id ? numberCell.id : null
+        };
+    }
+
+    /**
+     * Tell whether a diff line was added, removed or left unchanged
+     * @param {Element} lineElement - Code cell (or an element inside it) of a diff line
+     * @returns {string} 'added', 'removed' or 'context'
+     */
+    getLineChange(lineElement) {
+        const profile = this.getSelectorProfile();
+        const matches = (ancestor, marker) =>
+            (ancestor && lineElement.closest(ancestor)) || (marker && lineElement.querySelector(marker));
+
+        if (matches(profile.addedLine, profile.addedMarker)) {
+            return 'added';
+        }
+        if (matches(profile.removedLine, profile.removedMarker)) {
+            return 'removed';
+        }
+
+        const markerElement = lineElement.closest('[data-code-marker]');
+        const marker = markerElement && markerElement.getAttribute('data-code-marker');
+        return marker === '+' ? 'added' : marker === '-' ? 'removed' : 'context';
+    }
+
+    /**
+     * Get the path of the file a diff container belongs to
+     * @param {Element|null} fileElement - File diff container
+     * @returns {string|null} File path
+     */
+    getFilePath(fileElement) {
+        if (!fileElement) return null;
+
+        const profile = this.getSelectorProfile();
+        const header = fileElement.querySelector(profile.filePathHeader);
+        for (const element of [fileElement, header]) {
+            for (const attribute of profile.filePathAttributes) {
+                const path = element && element.getAttribute(attribute);
+                if (path) return path;
+            }
+        }
+        return null;
+    }
+
     /**
      * Extract words from file names in the PR
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Document|Element} root - Page to read (default: the current document)
      */
-    extractFromFileNames(words) {
+    extractFromFileNames(words, root = document) {
         // Extract from file headers
-        const fileHeaders = document.querySelectorAll(
-            '.file-header [title], .file-info a, .js-navigation-open'
-        );
+        const fileHeaders = root.querySelectorAll(this.getSelectorProfile().fileNames);
 
         fileHeaders.forEach(header => {
             const fileName = header.textContent || header.getAttribute('title') || '';
@@ -200,12 +1170,11 @@ class GitHubParser {
 
     /**
      * Extract words from existing comments in the PR
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Document|Element} root - Page to read (default: the current document)
      */
-    extractFromComments(words) {
-        const comments = document.querySelectorAll(
-            '.comment-body, .review-comment-contents, .js-comment-body'
-        );
+    extractFromComments(words, root = document) {
+        const comments = root.querySelectorAll(this.getSelectorProfile().comments);
 
         comments.forEach(comment => {
             const text = comment.textContent || '';
@@ -213,44 +1182,243 @@ class GitHubParser {
         });
     }
 
+    /**
+     * Split one line of code into tagged tokens
+     * @param {string} text - Line of code
+     * @param {Object} tokenizer - Language description (see registerTokenizer)
+     * @param {Object} state - { open } carried between lines of a file: the still open
+     *     block comment or multi-line string, if any
+     * @returns {Object[]} Tokens as { text, kind } with kind identifier, keyword, string or comment
+     *     (string and comment tokens hold the whole literal or comment body)
+     */
+    tokenizeCode(text, tokenizer, state) {
+        const tokens = [];
+        let i = 0;
+        
+        // Continue a block comment or string left open by a previous line
+        if (state.open) {
+            const end = this.findClosingDelimiter(text, 0, state.open);
+            tokens.push({ text: text.substring(0, end === -1 ? text.length : end), kind: state.open.kind });
+            if (end === -1) return tokens;
+            i = end + state.open.close.length;
+            state.open = null;
+        }
+        
+        const identifierPattern = /[A-Za-z_$][A-Za-z0-9_$]*/y;
+        const numberPattern = /[0-9][0-9A-Za-z_.]*/y;
+        const charPattern = /'(?:\\.[^'\n]{0,8}|[^\\'\n])'/y;
+        
+        while (i < text.length) {
+            const lineComment = tokenizer.lineComments.find(marker => text.startsWith(marker, i));
+            if (lineComment) {
+                tokens.push({ text: text.substring(i + lineComment.length), kind: 'comment' });
+                break;
+            }
+            
+            const block = tokenizer.blockComments.find(([open]) => text.startsWith(open, i));
+            const string = !block && tokenizer.strings.find(([open]) => text.startsWith(open, i));
+            if (block || string) {
+                const [open, close] = block || string;
+                const delimiter = { close, kind: block ? 'comment' : 'string', escapes: !block };
+                const start = i + open.length;
+                const end = this.findClosingDelimiter(text, start, delimiter);
+                tokens.push({ text: text.substring(start, end === -1 ? text.length : end), kind: delimiter.kind });
+                if (end === -1) {
+                    state.open = delimiter;
+                    break;
+                }
+                i = end + close.length;
+                continue;
+            }
+            
+            if (text[i] === "'" && tokenizer.charLiterals) {
+                charPattern.lastIndex = i;
+                const charMatch = charPattern.exec(text);
+                i += charMatch ? charMatch[0].length : 1;
+                continue;
+            }
+            
+            numberPattern.lastIndex = i;
+            const numberMatch = numberPattern.exec(text);
+            if (numberMatch) {
+                i += numberMatch[0].length;
+                continue;
+            }
+            
+            identifierPattern.lastIndex = i;
+            const identifierMatch = identifierPattern.exec(text);
+            if (identifierMatch) {
+                const identifier = identifierMatch[0];
+                tokens.push({ text: identifier, kind: tokenizer.keywords.has(identifier) ? 'keyword' : 'identifier', start: i });
+                i += identifier.length;
+                continue;
+            }
+            
+            // Punctuation and operators (`::`, `->`, `<`, decorators' `@`) only separate tokens
+            i++;
+        }
+        
+        return tokens;
+    }
+
+    /**
+     * Find where a comment or string literal ends
+     * @param {string} text - Line of code
+     * @param {number} start - Index just after the opening delimiter
+     * @param {Object} delimiter - { close, escapes }
+     * @returns {number} Index of the closing delimiter, or -1 if it is not on this line
+     */
+    findClosingDelimiter(text, start, delimiter) {
+        for (let i = start; i < text.length; i++) {
+            if (delimiter.escapes && text[i] === '\\') {
+                i++;
+            } else if (text.startsWith(delimiter.close, i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Extract words from a line of code with a language tokenizer, tagging each with its token kind
+     * @param {string} text - Line of code
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Object} tokenizer - Language description (see registerTokenizer)
+     * @param {Object} state - Tokenizer state carried between lines of the same file
+     * @param {Object} lineSource - { location, change } of the line, shared by all of its words
+     */
+    extractWordsFromCode(text, words, tokenizer, state, lineSource = {}) {
+        const tokens = this.tokenizeCode(text, tokenizer, state);
+        tokens.forEach(token => {
+            const source = { ...lineSource, kind: token.kind };
+            
+            if (token.kind === 'string' || token.kind === 'comment') {
+                // Literals and comments are prose: use the general word splitter
+                this.extractWordsFromText(token.text, words, source);
+                return;
+            }
+            
+            if (this.isValidWord(token.text, 'code')) {
+                this.addWord(words, token.text, source);
+            }
+            
+            // Also add the snake_case and camelCase parts of identifiers
+            if (token.kind === 'identifier') {
+                token.text.split('_').forEach(part => {
+                    if (part !== token.text && this.isValidWord(part)) {
+                        this.addWord(words, part, source);
+                    }
+                    if (/[a-z0-9][A-Z]/.test(part)) {
+                        this.extractCamelCaseWords(part, words, source);
+                    }
+                });
+            }
+        });
+        
+        this.extractMemberChains(text, tokens, words, lineSource);
+    }
+
+    /**
+     * Add the member chains of a line of code (`request.headers.get`) and their leading parts
+     * (`request.headers`) as identifiers; the names in a chain are already words of their own
+     * @param {string} text - Line of code
+     * @param {Object[]} tokens - Tokens of the line from tokenizeCode
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Object} lineSource - { location, change } of the line
+     */
+    extractMemberChains(text, tokens, words, lineSource = {}) {
+        const source = { ...lineSource, kind: 'identifier' };
+        let chain = [];
+        const addChain = () => {
+            for (let length = 2; length <= chain.length; length++) {
+                const member = chain.slice(0, length).join('.');
+                if (this.isValidWord(member, 'code')) {
+                    this.addWord(words, member, source);
+                }
+            }
+            chain = [];
+        };
+
+        tokens.forEach((token, index) => {
+            const previous = tokens[index - 1];
+            const isName = token.kind === 'identifier' || token.kind === 'keyword'; // `this.config`, `self.path`
+            const follows = isName && chain.length > 0 &&
+                text.substring(previous.start + previous.text.length, token.start) === '.';
+            if (!follows) addChain();
+            if (isName) chain.push(token.text);
+        });
+        addChain();
+    }
+
     /**
      * Extract meaningful words from a text string
      * @param {string} text - Input text
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Object|null} source - { location, kind, change } of the text, recorded when words is a Vocabulary
      */
-    extractWordsFromText(text, words) {
+    extractWordsFromText(text, words, source = null) {
         if (!text) return;
 
-        // Remove common code symbols and split into potential words
+        // Remove common code symbols and split into potential words; `.`, `_` and `-` between two
+        // letters or digits join a compound (`request.headers.get`, `indexing_path`, `max-width`)
         const cleanText = text
-            .replace(/[{}()\[\];,.<>!@#$%^&*+=|\\`~"]/g, ' ')
-            .replace(/[-_]/g, ' ')
+            .replace(/[{}()\[\];,<>!@#$%^&*+=|\\`~"]/g, ' ')
+            .replace(/[._-]+(?![\p{L}\p{N}])|(?<![\p{L}\p{N}])[._-]+/gu, ' ')
             .replace(/\s+/g, ' ')
             .trim();
 
         const potentialWords = cleanText.split(' ');
 
-        potentialWords.forEach(word => {
-            word = word.trim();
-            
-            // Filter words
-            if (this.isValidWord(word)) {
-                words.add(word);
-                
-                // Also add camelCase/PascalCase parts
-                this.extractCamelCaseWords(word, words);
-            }
+        potentialWords.forEach(potentialWord => {
+            // Keep compounds whole (`workspace_path` in `workspace_path:`), and a member chain's leading
+            // parts (`request.headers`) too
+            (potentialWord.match(/[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*/gu) || []).forEach(compound => {
+                if (!/[._-]/.test(compound) || !this.isValidWord(compound)) return;
+                this.addWord(words, compound, source);
+
+                const members = compound.split('.');
+                for (let length = 2; length < members.length; length++) {
+                    const member = members.slice(0, length).join('.');
+                    if (this.isValidWord(member)) {
+                        this.addWord(words, member, source);
+                    }
+                }
+            });
+
+            potentialWord.split(/[._-]+/).forEach(word => {
+                // Filter words
+                if (this.isValidWord(word)) {
+                    this.addWord(words, word, source);
+                    
+                    // Also add camelCase/PascalCase parts
+                    this.extractCamelCaseWords(word, words, source);
+                }
+            });
         });
     }
 
+    /**
+     * Record one occurrence of a word
+     * @param {Map<string, number>} words - Word occurrence counts
+     * @param {string} word - Word to count
+     * @param {Object|null} source - { location, kind, change } of the occurrence, if known
+     */
+    addWord(words, word, source = null) {
+        if (words instanceof Vocabulary) {
+            words.add(word, source);
+        } else {
+            words.set(word, (words.get(word) || 0) + 1);
+        }
+    }
+
     /**
      * Extract words from file names (handle extensions, paths, etc.)
      * @param {string} fileName - File name/path
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
      */
     extractWordsFromFileName(fileName, words) {
         if (!fileName) return;
-        words.add(fileName);
+        this.addWord(words, fileName);
 
         // Remove file extension and path separators
         const cleanName = fileName
@@ -264,16 +1432,17 @@ class GitHubParser {
     /**
      * Extract individual words from camelCase or PascalCase strings
      * @param {string} word - Input word
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Object|null} source - { location, kind, change } of the word, if known
      */
-    extractCamelCaseWords(word, words) {
+    extractCamelCaseWords(word, words, source = null) {
         // Split camelCase/PascalCase: myVariableName -> my, Variable, Name
         const camelCaseParts = word.split(/(?=[A-Z])/).filter(part => part.length > 0);
         
         camelCaseParts.forEach(part => {
             // const cleanPart = part.toLowerCase();
             if (this.isValidWord(part)) {
-                words.add(part);
+                this.addWord(words, part, source);
             }
         });
     }
@@ -281,9 +1450,10 @@ class GitHubParser {
     /**
      * Check if a word is valid for auto-complete
      * @param {string} word - Word to validate
+     * @param {string} domain - 'prose' for words from text, 'code' for whole names from code
      * @returns {boolean} True if word is valid
      */
-    isValidWord(word) {
+    isValidWord(word, domain = 'prose') {
         if (!word || typeof word !== 'string') return false;
         
         // Length check
@@ -296,24 +1466,8 @@ class GitHubParser {
             return false;
         }
 
-        // Exclude common noise words but include programming keywords
-        const noiseWords = new Set([
-            'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-            'from', 'up', 'about', 'into', 'through', 'during', 'before', 'after',
-            'above', 'below', 'between', 'among', 'is', 'are', 'was', 'were', 'be',
-            'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-            'could', 'should', 'may', 'might', 'must', 'can', 'shall'
-        ]);
-
-        const lowerWord = word.toLowerCase();
-        
-        // Include if it's a programming keyword
-        if (this.codeKeywords.has(lowerWord)) {
-            return true;
-        }
-
-        // Exclude common noise words
-        if (noiseWords.has(lowerWord)) {
+        // Prose stopwords (`the`, `und`) only filter prose: in code, `for` and `is` are names like any other
+        if (domain === 'prose' && this.stopwords.isProseStopword(word)) {
             return false;
         }
 
@@ -332,47 +1486,358 @@ class GitHubParser {
 
     /**
      * Extract words from PR title and description
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Document|Element} root - Page to read (default: the current document)
      */
-    extractFromPRMetadata(words) {
-        // Extract from PR title
-        const titleSelectors = [
-            'h1.gh-header-title',
-            '.js-issue-title',
-            '[data-testid="issue-title"]',
-            'h1[data-testid="pr-title"]'
-        ];
+    extractFromPRMetadata(words, root = document) {
+        const profile = this.getSelectorProfile();
         
-        for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
-            if (titleElement) {
-                const titleText = titleElement.textContent || '';
-                console.log('GitHub PR AutoComplete: Found PR title:', titleText);
-                this.extractWordsFromText(titleText, words);
-                break;
-            }
+        // Extract from PR title
+        const titleElement = root.querySelector(profile.title);
+        if (titleElement) {
+            const titleText = titleElement.textContent || '';
+            console.log('GitHub PR AutoComplete: Found PR title:', titleText);
+            this.extractWordsFromText(titleText, words);
         }
         
         // Extract from PR description
-        const descriptionSelectors = [
-            '.comment-body',
-            '.js-comment-body',
-            '[data-testid="comment-body"]',
-            '.markdown-body'
-        ];
-        
-        for (const selector of descriptionSelectors) {
-            const descElements = document.querySelectorAll(selector);
-            descElements.forEach(element => {
-                const descText = element.textContent || '';
-                this.extractWordsFromText(descText, words);
+        root.querySelectorAll(profile.description).forEach(element => {
+            const descText = element.textContent || '';
+            this.extractWordsFromText(descText, words);
+        });
+    }
+
+    /**
+     * Extract words from the PR's commit messages, read from its patch series or, failing that,
+     * from the commit list on the page (Commits tab)
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     * @param {Document|Element} root - Page to read when the patch series can't be fetched
+     */
+    async extractFromCommits(words, root = document) {
+        const patchText = await this.fetchPRPatch();
+        const commits = patchText ? this.diffParser.parseCommits(patchText) : this.findCommits(root);
+
+        commits.forEach(commit => this.extractWordsFromCommit(commit, words));
+        this.commits = commits;
+    }
+
+    /**
+     * Read the commits listed on a page
+     * @param {Document|Element} root - Page to read
+     * @returns {Object[]} Commits as { sha, subject, body, author } (sha is null if the entry doesn't link to it;
+     *     author is a participant as returned by getParticipant, or null)
+     */
+    findCommits(root) {
+        const profile = this.getSelectorProfile();
+        if (!profile.commits) return [];
+
+        return Array.from(root.querySelectorAll(profile.commits)).map(element => {
+            const subject = element.querySelector(profile.commitMessage);
+            const body = profile.commitBody ? element.querySelector(profile.commitBody) : null;
+            const authorLink = profile.commitAuthor ? element.querySelector(profile.commitAuthor) : null;
+            const link = Array.from(element.querySelectorAll('a[href]'))
+                .map(anchor => anchor.getAttribute('href').match(/\/commits?\/([0-9a-f]{40})\b/))
+                .find(match => match);
+
+            return {
+                sha: link ? link[1] : null,
+                subject: subject ? subject.textContent.trim() : '',
+                body: body ? body.textContent.trim() : '',
+                author: authorLink ? this.getParticipant(authorLink) : null
+            };
+        }).filter(commit => commit.sha || commit.subject);
+    }
+
+    /**
+     * Extract words from one commit, tagging them 'commit'. Its short SHA, the short SHAs it mentions
+     * (e.g. "This reverts commit ...") and ticket keys (PROJ-123) are kept whole.
+     * @param {Object} commit - { sha, subject, body }
+     * @param {Map<string, number>} words - Word occurrence counts to add to
+     */
+    extractWordsFromCommit(commit, words) {
+        const source = { kind: 'commit' };
+        const shortSha = sha => sha.substring(0, 7);
+
+        if (commit.sha) {
+            this.addWord(words, shortSha(commit.sha), source);
+        }
+
+        // Trailers (Signed-off-by, Co-authored-by) only name people
+        const message = [commit.subject, commit.body]
+            .join('\n')
+            .split('\n')
+            .filter(line => !/^[\w-]+-by:/i.test(line))
+            .join('\n');
+
+        // Hex runs of 7+ characters with a digit are commit references, not words like "defaced"
+        const text = message
+            .replace(/\b(?=[0-9a-f]*\d)[0-9a-f]{7,40}\b/g, sha => {
+                this.addWord(words, shortSha(sha), source);
+                return ' ';
+            })
+            .replace(/\b[A-Z][A-Z0-9]+-\d+\b/g, key => {
+                this.addWord(words, key, source);
+                return ` ${key.split('-')[0]} `;
+            });
+
+        this.extractWordsFromText(text, words, source);
+    }
+
+    /**
+     * Collect the people and teams taking part in the PR: the roles the page shows (author, reviewers,
+     * assignees, commenters) and the authors of the commits read by the last extraction
+     * @param {Document|Element} root - Page to read (default: the current document)
+     * @returns {Object[]} Sightings as { handle, type, displayName, avatarUrl, role }, one per appearance
+     *     (the signed-in user is left out)
+     */
+    extractParticipants(root = document) {
+        const participants = [];
+        const viewer = this.getViewerLogin(root);
+        const isViewer = handle => !!viewer && handle.toLowerCase() === viewer.toLowerCase();
+
+        Object.entries(this.getSelectorProfile().participants || {}).forEach(([role, selector]) => {
+            root.querySelectorAll(selector).forEach(element => {
+                const participant = this.getParticipant(element);
+                if (participant && !isViewer(participant.handle)) {
+                    participants.push({ ...participant, role });
+                }
+            });
+        });
+
+        this.commits.forEach(commit => {
+            const author = commit.author;
+            if (!author) return;
+
+            // Commits in a patch series only name an email address; GitHub's noreply addresses carry the login
+            const handle = author.handle || this.getLoginFromEmail(author.email);
+            if (!handle || isViewer(handle)) return;
+
+            participants.push({
+                handle,
+                type: 'user',
+                displayName: author.name || author.displayName || null,
+                avatarUrl: author.avatarUrl || this.getAvatarUrl(handle),
+                role: 'committer'
+            });
+        });
+
+        return participants;
+    }
+
+    /**
+     * Read the person or team a link points to
+     * @param {Element} element - Link to a profile or team page (hovercard URL or href), or naming one as `@handle`
+     * @returns {Object|null} { handle, type, displayName, avatarUrl }, or null if the element names nobody
+     */
+    getParticipant(element) {
+        const source = element.getAttribute('data-hovercard-url') || element.getAttribute('href') || '';
+        const path = source.replace(/^https?:\/\/[^/]+/, '');
+        const text = (element.textContent || '').trim();
+
+        let handle = null;
+        let type = 'user';
+        const team = path.match(/^\/orgs\/([^/]+)\/teams\/([^/?#]+)/);
+        const app = path.match(/^\/apps\/([^/?#]+)/);
+        const user = path.match(/^\/(?:users\/)?([A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)(?:\/hovercard)?\/?(?:[?#]|$)/);
+        if (team) {
+            handle = `${team[1]}/${team[2]}`;
+            type = 'team';
+        } else if (app) {
+            handle = app[1];
+        } else if (user) {
+            handle = user[1];
+        } else if (/^@[A-Za-z0-9-]+(?:\/[\w.-]+)?$/.test(text)) {
+            handle = text.substring(1);
+            type = handle.includes('/') ? 'team' : 'user';
+        }
+        if (!handle) return null;
+
+        const image = element.matches('img') ? element : element.querySelector('img');
+        const label = element.getAttribute('title') || element.getAttribute('aria-label') || '';
+
+        return {
+            handle,
+            type,
+            displayName: label && !label.toLowerCase().includes(handle.toLowerCase()) ? label : null,
+            avatarUrl: (image && image.getAttribute('src')) || (type === 'user' ? this.getAvatarUrl(handle) : null)
+        };
+    }
+
+    /**
+     * Collect the issues, PRs and review threads the PR points to: linked issues, references in the
+     * description ("closes #123" ones marked as closing), timeline cross-references and review threads
+     * @param {Document|Element} root - Page to read (default: the current document)
+     * @param {Object|null} prInfo - The PR, to shorten same-repository references to `#123` and leave
+     *     the PR itself out (default: the current PR, see getPRInfo)
+     * @returns {Object[]} Sightings as { key, type, number, title, url, path, source }, one per appearance
+     */
+    extractReferences(root = document, prInfo = this.getPRInfo()) {
+        const profile = this.getSelectorProfile();
+        const repo = prInfo ? `${prInfo.owner}/${prInfo.repo}` : null;
+        const prKey = prInfo ? `#${prInfo.number}` : null;
+        const references = [];
+
+        Object.entries(profile.references || {}).forEach(([source, selector]) => {
+            root.querySelectorAll(selector).forEach(link => {
+                const reference = this.getIssueReference(link, repo);
+                if (reference && reference.key !== prKey) {
+                    references.push({ ...reference, source });
+                }
+            });
+        });
+
+        // The description: rendered links know whether they point to an issue or a PR, the text knows
+        // which ones the PR closes (and still has references GitHub didn't turn into links)
+        const description = profile.description ? root.querySelector(profile.description) : null;
+        if (description) {
+            const linked = new Map();
+            if (profile.issueLink) {
+                description.querySelectorAll(profile.issueLink).forEach(link => {
+                    const reference = this.getIssueReference(link, repo);
+                    if (reference) linked.set(reference.key, reference);
+                });
+            }
+
+            const text = description.textContent || '';
+            const referencePattern = /(^|[^\w&/#])((?:[\w.-]+\/[\w.-]+)?)#(\d+)\b/g;
+            let match;
+            while ((match = referencePattern.exec(text)) !== null) {
+                const number = parseInt(match[3], 10);
+                const key = match[2] && match[2].toLowerCase() !== (repo || '').toLowerCase() ? `${match[2]}#${number}` : `#${number}`;
+                if (key === prKey) continue;
+
+                const before = text.substring(0, match.index + match[1].length);
+                const closing = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s*$/i.test(before);
+                references.push({
+                    ...(linked.get(key) || { key, type: 'issue', number, title: null, url: null, path: null }),
+                    source: closing ? 'closing' : 'description'
+                });
+            }
+        }
+
+        if (profile.reviewThread) {
+            const prUrl = prInfo ? `${window.location.origin}/${repo}/pull/${prInfo.number}` : '';
+            root.querySelectorAll(profile.reviewThread).forEach(thread => {
+                const reference = this.getReviewThreadReference(thread, prUrl);
+                if (reference) references.push({ ...reference, source: 'thread' });
             });
         }
+
+        return references;
+    }
+
+    /**
+     * Read the issue or PR a link points to
+     * @param {Element} link - Link to an issue or PR page
+     * @param {string|null} repo - Current repository as owner/name; its references are keyed `#123`
+     * @returns {Object|null} { key, type, number, title, url, path }, or null if the link points elsewhere
+     */
+    getIssueReference(link, repo) {
+        const source = link.getAttribute('href') || link.getAttribute('data-hovercard-url') || '';
+        const match = source.replace(/^https?:\/\/[^/]+/, '').match(/^\/([^/]+)\/([^/]+)\/(issues|pull)\/(\d+)/);
+        if (!match) return null;
+
+        const linkRepo = `${match[1]}/${match[2]}`;
+        const number = parseInt(match[4], 10);
+        const text = (link.textContent || '').trim().replace(/\s+/g, ' ');
+
+        return {
+            key: repo && linkRepo.toLowerCase() === repo.toLowerCase() ? `#${number}` : `${linkRepo}#${number}`,
+            type: match[3] === 'pull' ? 'pull' : 'issue',
+            number,
+            // Rendered references only read "#123"; timeline and sidebar links show the title
+            title: text && !/^(?:[\w.-]+\/[\w.-]+)?#\d+$/.test(text) ? text : (link.getAttribute('title') || null),
+            url: `${window.location.origin}/${linkRepo}/${match[3]}/${number}`,
+            path: null
+        };
+    }
+
+    /**
+     * Read a review thread as a reference to its first comment
+     * @param {Element} thread - Review thread element
+     * @param {string} prUrl - URL of the PR the thread belongs to
+     * @returns {Object|null} { key, type, number, title, url, path }, or null if the thread has no comment anchor
+     */
+    getReviewThreadReference(thread, prUrl) {
+        const id = this.getReviewThreadId(thread);
+        if (!id) return null;
+
+        const profile = this.getSelectorProfile();
+        const pathElement = profile.reviewThreadPath ? thread.querySelector(profile.reviewThreadPath) : null;
+        const lineNumbers = thread.querySelectorAll('[data-line-number]');
+        const line = lineNumbers.length > 0 ? lineNumbers[lineNumbers.length - 1].getAttribute('data-line-number') : null;
+        const path = pathElement ? (pathElement.textContent || '').trim() : null;
+        const comment = thread.querySelector(profile.comments);
+        const firstLine = comment ? (comment.textContent || '').trim().split('\n')[0].trim() : '';
+
+        return {
+            key: `#${id}`,
+            type: 'thread',
+            number: null,
+            title: firstLine.length > 80 ? `${firstLine.substring(0, 79)}…` : firstLine || null,
+            url: `${prUrl}#${id}`,
+            path: path && line ? `${path}:${line}` : path
+        };
+    }
+
+    /**
+     * Find the anchor of a review thread's first comment
+     * @param {Element} thread - Review thread element
+     * @returns {string|null} e.g. discussion_r1234567, or null if the thread has none
+     */
+    getReviewThreadId(thread) {
+        const anchored = thread.querySelector('[id^="discussion_r"]');
+        if (anchored) return anchored.id;
+
+        const link = thread.querySelector('a[href*="#discussion_r"]');
+        const match = link && link.getAttribute('href').match(/#(discussion_r\d+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find the review thread a comment field replies to
+     * @param {Element|null} field - Comment field
+     * @returns {string|null} Reference key of the thread (`#discussion_r…`), or null outside a thread
+     */
+    getReviewThreadKey(field) {
+        const selector = this.getSelectorProfile().reviewThread;
+        const thread = field && selector ? field.closest(selector) : null;
+        const id = thread ? this.getReviewThreadId(thread) : null;
+        return id ? `#${id}` : null;
+    }
+
+    /**
+     * Get the login behind one of GitHub's noreply commit email addresses
+     * @param {string|null} email - Commit author email, e.g. 1234+octocat@users.noreply.github.com
+     * @returns {string|null} Login, or null for other addresses
+     */
+    getLoginFromEmail(email) {
+        const match = (email || '').match(/^(?:\d+\+)?([A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)@users\.noreply\.github\.com$/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Build the URL of a user's avatar
+     * @param {string} login - User login
+     * @returns {string} Small avatar image URL
+     */
+    getAvatarUrl(login) {
+        return `${window.location.origin}/${encodeURIComponent(login)}.png?size=40`;
+    }
+
+    /**
+     * Find the login of the signed-in user
+     * @param {Document|Element} root - Page to read (default: the current document)
+     * @returns {string|null} Login, or null when signed out
+     */
+    getViewerLogin(root = document) {
+        const meta = root.querySelector('meta[name="user-login"]');
+        return (meta && meta.getAttribute('content')) || null;
     }
 
     /**
      * Add common programming words as fallback
-     * @param {Set<string>} words - Set to add words to
+     * @param {Map<string, number>} words - Word occurrence counts to add to
      */
     addCommonProgrammingWords(words) {
         const commonWords = [
@@ -406,35 +1871,155 @@ class GitHubParser {
         
         commonWords.forEach(word => {
             if (this.isValidWord(word)) {
-                words.add(word);
+                this.addWord(words, word);
             }
         });
         
         console.log(`GitHub PR AutoComplete: Added ${commonWords.length} common programming words`);
     }
 
+    /**
+     * Identify the PR on the current page
+     * @returns {Object|null} { owner, repo, number, headSha } (headSha is null if it can't be found)
+     */
+    getPRInfo() {
+        const match = window.location.pathname.match(/^\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+        if (!match) return null;
+
+        return {
+            owner: match[1],
+            repo: match[2],
+            number: parseInt(match[3], 10),
+            headSha: this.getHeadSha()
+        };
+    }
+
+    /**
+     * Find the SHA of the PR's head commit in the page
+     * @param {Document|Element} root - Page to read (default: the current document)
+     * @returns {string|null} Full commit SHA, or null if it can't be found
+     */
+    getHeadSha(root = document) {
+        // Hidden form fields used by the merge box and review forms
+        return this.findCommitSha(root, [
+            'input[name="head_sha"]',
+            'input[name="comparison_end_oid"]',
+            'input[name="commit_id"]'
+        ], 'headRefOid');
+    }
+
+    /**
+     * Find the SHA of the commit the PR's diff starts from in the page
+     * @param {Document|Element} root - Page to read (default: the current document)
+     * @returns {string|null} Full commit SHA, or null if it can't be found
+     */
+    getBaseSha(root = document) {
+        return this.findCommitSha(root, [
+            'input[name="comparison_start_oid"]',
+            'input[name="base_sha"]'
+        ], 'baseRefOid');
+    }
+
+    /**
+     * Read a commit SHA from hidden form fields or, on React-based pages, the embedded PR payload
+     * @param {Document|Element} root - Page to read
+     * @param {string[]} inputSelectors - Fields that may hold the SHA, most reliable first
+     * @param {string} payloadKey - Key of the SHA in the embedded JSON payload
+     * @returns {string|null} Full commit SHA, or null if it can't be found
+     */
+    findCommitSha(root, inputSelectors, payloadKey) {
+        for (const selector of inputSelectors) {
+            const input = root.querySelector(selector);
+            if (input && /^[0-9a-f]{40}$/.test(input.value)) {
+                return input.value;
+            }
+        }
+
+        // React-based PR pages embed the PR payload as JSON
+        const embeddedData = root.querySelectorAll('script[type="application/json"][data-target="react-app.embeddedData"]');
+        const pattern = new RegExp(`"${payloadKey}":"([0-9a-f]{40})"`);
+        for (const script of embeddedData) {
+            const match = (script.textContent || '').match(pattern);
+            if (match) {
+                return match[1];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the permalink to a line of a changed file, at the commit that has the line
+     * @param {Object} file - Changed file as in changedFiles
+     * @param {number} line - Line number
+     * @param {Document|Element} root - Page to read the commits from (default: the current document)
+     * @param {string|null} repoUrl - Repository URL (default: the current PR's, see getRepoUrl)
+     * @returns {string|null} `…/blob/<sha>/<path>#L<line>` at the head commit, or at the base commit for
+     *     lines the diff only shows on the base side (and deleted files); the line's anchor in the
+     *     "Files changed" tab if the commit is unknown; null if neither can be built
+     */
+    getLinePermalink(file, line, root = document, repoUrl = this.getRepoUrl()) {
+        const side = this.getLineSide(file, line);
+        const sha = side === 'left' ? this.getBaseSha(root) : this.getHeadSha(root);
+
+        if (sha && repoUrl) {
+            const path = side === 'left' ? (file.oldPath || file.path) : file.path;
+            const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+            return `${repoUrl}/blob/${sha}/${encodedPath}#L${line}`;
+        }
+
+        return file.url ? `${file.url}${side === 'left' ? 'L' : 'R'}${line}` : null;
+    }
+
+    /**
+     * Tell which side of a file's diff a line number refers to
+     * @param {Object} file - Changed file as in changedFiles
+     * @param {number} line - Line number
+     * @returns {string} 'left' (base) for deleted files and for lines the diff only shows on the base side,
+     *     otherwise 'right' (head)
+     */
+    getLineSide(file, line) {
+        if (file.status === 'deleted') return 'left';
+
+        const lines = file.lines || { left: new Map(), right: new Map() };
+        return !lines.right.has(line) && lines.left.has(line) ? 'left' : 'right';
+    }
+
     /**
      * Monitor for changes in the Files changed tab and re-extract words
      * @param {Function} callback - Callback function to call when words are updated
      */
     monitorForChanges(callback) {
+        const reportWords = async () => {
+            try {
+                const words = await this.extractWordsFromPR();
+                callback(words);
+            } catch (error) {
+                console.error('GitHub PR AutoComplete: Extracting words after a page change failed', error);
+            }
+        };
+        
+        // Diffs fetched in the background don't change the page, so they are reported directly
+        this.deferredContentListener = reportWords;
+        if (this.hasUnreportedDeferredContent) {
+            this.hasUnreportedDeferredContent = false;
+            this.deferredContentListener();
+        }
+        
+        // GitHub renders a diff in many small mutations: extract once they have settled
+        let pendingTimer = null;
         const observer = new MutationObserver((mutations) => {
-            let shouldUpdate = false;
-            
-            mutations.forEach(mutation => {
-                // Check if files changed content was modified
-                if (mutation.target.closest('#files_bucket') || 
-                    mutation.target.closest('.js-diff-progressive-container')) {
-                    shouldUpdate = true;
-                }
-            });
+            const changeRoots = this.getSelectorProfile().changeRoots;
+            const diffChanged = mutations.some(mutation =>
+                !this.isOwnMutation(mutation) && mutation.target.closest(changeRoots)
+            );
+            if (!diffChanged) return;
 
-            if (shouldUpdate) {
-                setTimeout(async () => {
-                    const words = await this.extractWordsFromPR();
-                    callback(words);
-                }, 500); // Small delay to ensure DOM is updated
-            }
+            clearTimeout(pendingTimer);
+            pendingTimer = setTimeout(() => {
+                pendingTimer = null;
+                reportWords();
+            }, this.changeDelay);
         });
 
         observer.observe(document.body, {
@@ -444,4 +2029,21 @@ class GitHubParser {
 
         return observer;
     }
+
+    /**
+     * Check if a mutation only touched elements the extension added to the page
+     * @param {MutationRecord} mutation - Mutation from the change observer
+     * @returns {boolean} True if it happened inside, or only added or removed, the extension's elements
+     */
+    isOwnMutation(mutation) {
+        if (mutation.target.closest(this.ownElements)) return true;
+
+        const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+        return nodes.length > 0 && nodes.every(node => node.matches && node.matches(this.ownElements));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GitHubParser };
 }
@@ -0,0 +1,189 @@
+/**
+ * Path index
+ * The PR's changed files as a trie of path segments, for completing a path one directory at a time.
+ *
+ * Model:
+ *   file: { path, oldPath, status, url, lines }
+ *     oldPath is the path before a rename (null if unknown); status is as in DiffParser ('added',
+ *     'deleted', 'modified', 'renamed', 'copied'), or null when only the rendered page was read; url links
+ *     to the file in the "Files changed" tab (null if unknown); lines is { left, right }, Maps from the base
+ *     and head line numbers the diff shows to their change
+ *   node: { name, children, file, fileCount }
+ *     children maps each segment to its node; file is set on the last segment of a changed file;
+ *     fileCount is the number of changed files at or below the node
+ */
+class PathIndex {
+    constructor() {
+        this.root = this.createNode('');
+        this.files = new Map(); // path -> file
+    }
+
+    /**
+     * Create an empty trie node
+     * @param {string} name - Path segment the node stands for
+     * @returns {Object} Node
+     */
+    createNode(name) {
+        return { name, children: new Map(), file: null, fileCount: 0 };
+    }
+
+    /**
+     * Number of changed files
+     * @returns {number} File count
+     */
+    get size() {
+        return this.files.size;
+    }
+
+    /**
+     * Add a changed file; adding a path again updates its details
+     * @param {Object} file - { path, oldPath, status, url, lines }
+     */
+    add({ path, oldPath = null, status = null, url = null, lines = null }) {
+        const segments = (path || '').split('/').filter(segment => segment.length > 0);
+        if (segments.length === 0) return;
+
+        const isNew = !this.files.has(path);
+        const file = { path, oldPath, status, url, lines: lines || { left: new Map(), right: new Map() } };
+        this.files.set(path, file);
+
+        let node = this.root;
+        if (isNew) node.fileCount++;
+        segments.forEach(segment => {
+            if (!node.children.has(segment)) {
+                node.children.set(segment, this.createNode(segment));
+            }
+            node = node.children.get(segment);
+            if (isNew) node.fileCount++;
+        });
+        node.file = file;
+    }
+
+    /**
+     * Replace every file
+     * @param {Object[]} files - Files as accepted by add
+     */
+    setFiles(files) {
+        this.clear();
+        files.forEach(file => this.add(file));
+    }
+
+    /**
+     * Remove every file
+     */
+    clear() {
+        this.root = this.createNode('');
+        this.files.clear();
+    }
+
+    /**
+     * Look up a changed file
+     * @param {string} path - Full path
+     * @returns {Object|null} File, or null if the path is not a changed file
+     */
+    get(path) {
+        return this.files.get(path) || null;
+    }
+
+    /**
+     * Find the changed files a possibly shortened path names
+     * @param {string} path - Full path, or its last segments (`client.ts`, `net/client.ts`; any case)
+     * @returns {Object[]} Files, an exact match alone, otherwise every file ending in the path, by path
+     */
+    findFiles(path) {
+        if (!path) return [];
+        if (this.files.has(path)) return [this.files.get(path)];
+
+        const suffix = `/${path.replace(/^\/+/, '').toLowerCase()}`;
+        return Array.from(this.files.values())
+            .filter(file => `/${file.path.toLowerCase()}`.endsWith(suffix))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * List the lines a file's diff changes
+     * @param {Object} file - File
+     * @returns {number[]} Added head lines and removed base lines (those the head side doesn't show), ascending
+     */
+    getChangedLines(file) {
+        const changed = new Set();
+        file.lines.right.forEach((change, line) => {
+            if (change === 'added') changed.add(line);
+        });
+        file.lines.left.forEach((change, line) => {
+            if (change === 'removed' && !file.lines.right.has(line)) changed.add(line);
+        });
+        return Array.from(changed).sort((a, b) => a - b);
+    }
+
+    /**
+     * Count the changed files below a directory
+     * @param {string} directory - Directory path, with or without the trailing `/`
+     * @returns {number} File count (0 if the directory holds no changed file)
+     */
+    getFileCount(directory) {
+        let node = this.root;
+        for (const segment of directory.split('/').filter(part => part.length > 0)) {
+            node = node.children.get(segment);
+            if (!node) return 0;
+        }
+        return node.fileCount;
+    }
+
+    /**
+     * Complete the last segment of a path
+     * @param {string} query - Path typed so far, e.g. `src/ne`; the segments before the last must
+     *     name directories exactly (any case)
+     * @param {number} maxResults - Maximum number of entries to return
+     * @param {boolean} matchFileNames - When nothing matches from the top, also match a query without `/`
+     *     against the file names anywhere in the tree (`client` -> src/net/client.ts)
+     * @returns {Object[]} Entries as { path, type, fileCount }: directories end in `/` and come first,
+     *     the ones holding the most changed files first
+     */
+    complete(query, maxResults = 10, matchFileNames = false) {
+        const segments = query.split('/');
+        const partial = segments.pop().toLowerCase();
+
+        let node = this.root;
+        let prefix = '';
+        for (const segment of segments) {
+            if (segment === '' && node === this.root) continue; // A leading `/`
+            const lowerSegment = segment.toLowerCase();
+            node = Array.from(node.children.values()).find(child => child.name.toLowerCase() === lowerSegment);
+            if (!node) return [];
+            prefix += `${node.name}/`;
+        }
+
+        const entries = [];
+        node.children.forEach(child => {
+            if (!child.name.toLowerCase().startsWith(partial)) return;
+            if (child.children.size > 0) {
+                entries.push({ path: `${prefix}${child.name}/`, type: 'directory', fileCount: child.fileCount });
+            }
+            if (child.file) {
+                entries.push({ path: child.file.path, type: 'file', fileCount: 1 });
+            }
+        });
+
+        if (entries.length === 0 && matchFileNames && segments.length === 0 && partial) {
+            this.files.forEach(file => {
+                if (file.path.split('/').pop().toLowerCase().startsWith(partial)) {
+                    entries.push({ path: file.path, type: 'file', fileCount: 1 });
+                }
+            });
+        }
+
+        return entries
+            .sort((a, b) =>
+                ((a.type === 'directory') ? -1 : 0) - ((b.type === 'directory') ? -1 : 0) ||
+                (b.fileCount - a.fileCount) ||
+                a.path.localeCompare(b.path)
+            )
+            .slice(0, maxResults);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PathIndex };
+}
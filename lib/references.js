@@ -0,0 +1,125 @@
+/**
+ * Reference index
+ * Issues, pull requests and review threads a PR points to, for `#` completion.
+ *
+ * Model:
+ *   reference: { key, type, number, title, url, path, sources }
+ *     key is what gets suggested: `#123`, `owner/repo#123` for other repositories, or `#discussion_r123`
+ *     for review threads; type is 'issue', 'pull' or 'thread'; number is null for threads; path is the
+ *     file (and line) a thread is on; sources is the Set of places the reference was seen
+ *     (linked, closing, description, timeline, thread)
+ */
+class ReferenceIndex {
+    constructor() {
+        this.references = new Map(); // key -> reference
+
+        // How strongly each place ties a reference to the PR; a reference seen in several places adds them up
+        this.sourceWeights = {
+            linked: 40, // Development sidebar
+            closing: 30, // "closes #123" in the description
+            description: 20,
+            timeline: 10, // Cross-references
+            thread: 5
+        };
+    }
+
+    /**
+     * Number of references
+     * @returns {number} Reference count
+     */
+    get size() {
+        return this.references.size;
+    }
+
+    /**
+     * Record a reference seen in one place; details missing from earlier sightings are filled in
+     * @param {Object} reference - { key, type, number, title, url, path, source }
+     */
+    add({ key, type = 'issue', number = null, title = null, url = null, path = null, source }) {
+        if (!key) return;
+
+        if (!this.references.has(key)) {
+            this.references.set(key, { key, type, number, title: null, url: null, path: null, sources: new Set() });
+        }
+
+        const existing = this.references.get(key);
+        existing.title = existing.title || title;
+        existing.url = existing.url || url;
+        existing.path = existing.path || path;
+        if (source) {
+            existing.sources.add(source);
+        }
+    }
+
+    /**
+     * Replace every reference
+     * @param {Object[]} references - Sightings as accepted by add
+     */
+    setReferences(references) {
+        this.clear();
+        references.forEach(reference => this.add(reference));
+    }
+
+    /**
+     * Remove every reference
+     */
+    clear() {
+        this.references.clear();
+    }
+
+    /**
+     * Look up a reference
+     * @param {string} key - Reference key, e.g. `#123`
+     * @returns {Object|null} Reference, or null if unknown
+     */
+    get(key) {
+        return this.references.get(key) || null;
+    }
+
+    /**
+     * Get how strongly a reference is tied to the PR
+     * @param {Object} reference - Reference
+     * @returns {number} Score (higher ranks first)
+     */
+    getScore(reference) {
+        let score = 0;
+        reference.sources.forEach(source => {
+            score += this.sourceWeights[source] || 0;
+        });
+        return score;
+    }
+
+    /**
+     * Find references by number or title
+     * @param {string} query - Text typed after `#`: digits match the start of a number, anything else
+     *     the start of a word of the title or path (empty lists everything)
+     * @param {number} maxResults - Maximum number of references to return
+     * @param {string|null} excludeKey - Reference to leave out (the review thread being replied to)
+     * @returns {Object[]} References, most strongly tied first, then newest first
+     */
+    search(query, maxResults = 10, excludeKey = null) {
+        const lowerQuery = query.toLowerCase();
+        const matches = reference => {
+            if (!lowerQuery) return true;
+            if (/^\d+$/.test(lowerQuery)) {
+                return reference.number !== null && String(reference.number).startsWith(lowerQuery);
+            }
+            const words = `${reference.title || ''} ${reference.path || ''}`.toLowerCase().split(/[^\w-]+/);
+            return words.some(word => word.startsWith(lowerQuery)) || reference.key.toLowerCase().startsWith(lowerQuery);
+        };
+
+        return Array.from(this.references.values())
+            .filter(reference => reference.key !== excludeKey && matches(reference))
+            .sort((a, b) =>
+                (this.getScore(b) - this.getScore(a)) ||
+                ((b.number || 0) - (a.number || 0)) ||
+                a.key.localeCompare(b.key)
+            )
+            .slice(0, maxResults);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReferenceIndex };
+}
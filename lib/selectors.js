@@ -0,0 +1,168 @@
+/**
+ * Selector profiles
+ * Each generation of GitHub's PR UI gets one complete set of selectors, so a markup change
+ * shows up as "no profile matched" instead of extraction quietly scraping the whole page.
+ * Bump a profile's version whenever its selectors change.
+ */
+class SelectorProfiles {
+    constructor() {
+        this.profiles = []; // In detection order
+        this.registerDefaultProfiles();
+    }
+
+    /**
+     * Register a profile (a profile with the same name is replaced)
+     * @param {Object} profile - Selectors for one UI generation:
+     *     name, version             - Identify the profile in logs and stats
+     *     detect                    - Matches on any page (Conversation or Files changed) of this UI
+     *     filesContainer: string[]  - Diff containers, most specific first
+     *     file                      - One file's diff
+     *     filePathAttributes: string[] - Attributes holding the path on a file element or its header
+     *     filePathHeader            - Element inside a file element holding one of those attributes
+     *     codeLine                  - Code cells of diff lines (nested matches are read once, innermost)
+     *     lineNumber                - Line number cells, carrying data-line-number
+     *     addedLine, removedLine    - Ancestors of added / removed code (optional)
+     *     addedMarker, removedMarker - Descendants marking added / removed code (optional)
+     *     deferredDiff              - Placeholders of collapsed or lazily loaded diffs (optional)
+     *     fileNames, comments, title, description - PR text outside the diff
+     *     commits                   - Entries of the commit list (Commits tab), linking to their commit
+     *     commitMessage, commitBody - Subject and (optional) expanded body inside a commit entry
+     *     commitAuthor              - Link to the author inside a commit entry (optional)
+     *     participants: Object      - role (author, reviewer, assignee, commenter) -> links to the people
+     *                                 and teams seen in that role
+     *     references: Object        - source (linked, timeline) -> links to issues and PRs seen there
+     *     issueLink                 - Links to issues and PRs inside rendered markdown (the description)
+     *     reviewThread              - One review thread, holding its comments' discussion_r anchors
+     *     reviewThreadPath          - File path inside a review thread (optional)
+     *     nativeSuggester           - GitHub's own suggestion popup (@-mentions, #-references) while it is open
+     *     commentFields             - Text fields autocomplete attaches to
+     *     changeRoots               - Containers whose mutations mean the diff changed
+     */
+    register(profile) {
+        this.profiles = this.profiles.filter(existing => existing.name !== profile.name);
+        this.profiles.push(profile);
+    }
+
+    /**
+     * Register the profiles for the UIs GitHub currently serves
+     */
+    registerDefaultProfiles() {
+        // React-based PR pages (checked first: they can still carry a few classic class names)
+        this.register({
+            name: 'react',
+            version: 4,
+            detect: '[data-testid="pr-diff-view"], [data-testid="issue-title"], h1[data-testid="pr-title"]',
+            filesContainer: ['[data-testid="pr-diff-view"]', '[data-target="diff-layout.diffContainer"]', 'div[data-hpc]'],
+            file: '[data-testid="diff-file"], [data-file-path]',
+            filePathAttributes: ['data-file-path', 'data-tagsearch-path'],
+            filePathHeader: '[data-testid="file-header"][data-file-path], [data-file-path]',
+            codeLine: 'td.diff-text-cell, .diff-text-inner, [data-code-marker]',
+            lineNumber: '[data-line-number]',
+            addedLine: '.diff-text-cell.addition',
+            removedLine: '.diff-text-cell.deletion',
+            addedMarker: null,
+            removedMarker: null,
+            deferredDiff: null, // Large files are loaded through the app's own API; the raw diff covers them
+            fileNames: '[data-testid="file-header"] [title], [data-testid="file-tree"] [title]',
+            comments: '[data-testid="review-thread"] [data-testid="comment-body"]',
+            title: '[data-testid="issue-title"], h1[data-testid="pr-title"]',
+            description: '[data-testid="comment-body"]',
+            commits: '[data-testid="commit-row-item"]',
+            commitMessage: '[data-testid="listview-item-title-container"] a, .markdown-title',
+            commitBody: '[data-testid="commit-row-description"]',
+            commitAuthor: 'a[data-hovercard-type="user"]',
+            participants: {
+                author: '[data-testid="pr-header-author"] a[data-hovercard-type]',
+                reviewer: '[data-testid="sidebar-reviewers-section"] a[data-hovercard-type]',
+                assignee: '[data-testid="sidebar-assignees-section"] a[data-hovercard-type]',
+                commenter: '[data-testid="comment-header"] a[data-hovercard-type="user"]'
+            },
+            references: {
+                linked: '[data-testid="sidebar-development-section"] a[data-hovercard-type]',
+                timeline: '[data-testid="timeline-cross-reference"] a[data-hovercard-type]'
+            },
+            issueLink: 'a[data-hovercard-type="issue"], a[data-hovercard-type="pull_request"]',
+            reviewThread: '[data-testid="review-thread"]',
+            reviewThreadPath: '[data-testid="review-thread-path"]',
+            nativeSuggester: '[data-testid="suggestions-list"], ul[role="listbox"][aria-label="Suggestions"]',
+            commentFields: '[data-testid="comment-body-textarea"], textarea[placeholder*="comment"], textarea[aria-label*="comment"]',
+            changeRoots: '[data-testid="pr-diff-view"], [data-target="diff-layout.diffContainer"]'
+        });
+
+        // Server-rendered PR pages
+        this.register({
+            name: 'classic',
+            version: 4,
+            detect: '#files_bucket, .js-diff-progressive-container, .js-issue-title, h1.gh-header-title',
+            filesContainer: ['#files_bucket', '.js-diff-progressive-container', '.js-diff-table', '.file-diff-split', '.diff-view'],
+            file: '[data-tagsearch-path], .file, .js-file',
+            filePathAttributes: ['data-tagsearch-path', 'data-path'],
+            filePathHeader: '.file-header[data-path], [data-path]',
+            codeLine:
+                '.blob-code-inner, .blob-code, .js-file-line, .diff-line-code, ' +
+                '[data-code-marker], .blob-code-content, .js-blob-code-container td, ' +
+                '.diff-table td, .js-file-line-container, .blob-code-marker, ' +
+                '.blob-code-addition, .blob-code-deletion, .blob-code-context, ' +
+                'td.blob-code, td.blob-code-inner, .js-file-line-container td',
+            lineNumber: '[data-line-number]',
+            addedLine: '.blob-code-addition',
+            removedLine: '.blob-code-deletion',
+            addedMarker: '.blob-code-marker-addition',
+            removedMarker: '.blob-code-marker-deletion',
+            deferredDiff:
+                '.js-diff-load-container [data-fragment-url], .js-diff-entry-loader[data-fragment-url], ' +
+                'include-fragment.js-diff-entry-loader[src], include-fragment.js-diff-progressive-loader[src], ' +
+                'include-fragment.diff-progressive-loader[src]',
+            fileNames: '.file-header [title], .file-info a, .js-navigation-open',
+            comments: '.comment-body, .review-comment-contents, .js-comment-body',
+            title: 'h1.gh-header-title, .js-issue-title',
+            description: '.comment-body, .js-comment-body, .markdown-body',
+            commits: '.js-commits-list-item',
+            commitMessage: 'a.markdown-title, p a.Link--primary',
+            commitBody: '.commit-desc pre',
+            commitAuthor: 'a.commit-author, a[data-hovercard-type="user"]',
+            participants: {
+                author: '.gh-header-meta a.author',
+                reviewer: 'form[aria-label="Select reviewers"] a[data-hovercard-type]',
+                assignee: 'form[aria-label="Select assignees"] a[data-hovercard-type]',
+                commenter: '.timeline-comment-header a.author, .review-comment a.author'
+            },
+            references: {
+                linked: 'form[aria-label="Link issues"] a[data-hovercard-type]',
+                timeline: '.TimelineItem a.Link--primary[data-hovercard-type="issue"], .TimelineItem a.Link--primary[data-hovercard-type="pull_request"]'
+            },
+            issueLink: 'a.issue-link, a[data-hovercard-type="issue"], a[data-hovercard-type="pull_request"]',
+            reviewThread: '.js-resolvable-timeline-thread-container, .review-thread-component',
+            reviewThreadPath: 'summary a',
+            nativeSuggester: 'text-expander .suggester, text-expander [role="listbox"]',
+            commentFields:
+                'textarea[name="comment[body]"], textarea[name="pull_request_review[body]"], ' +
+                'textarea[name="commit_comment[body]"], .js-comment-field, .js-suggester-field, ' +
+                'textarea.js-size-to-fit, textarea[placeholder*="comment"], textarea[aria-label*="comment"]',
+            changeRoots: '#files_bucket, .js-diff-progressive-container'
+        });
+    }
+
+    /**
+     * Find the profile of the UI a page was rendered with
+     * @param {Document|Element} root - Page (or part of one) to look at
+     * @returns {Object|null} First profile whose detect selector matches, or null
+     */
+    detect(root) {
+        return this.profiles.find(profile => root.querySelector(profile.detect)) || null;
+    }
+
+    /**
+     * Look up a profile by name
+     * @param {string} name - Profile name
+     * @returns {Object|null} Profile, or null if unknown
+     */
+    get(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SelectorProfiles };
+}
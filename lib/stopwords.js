@@ -0,0 +1,230 @@
+/**
+ * Stopword packs
+ * Word lists kept out of suggestions, one pack per natural language and per programming language.
+ * Prose packs apply to the PR's text (title, description, comments, commit messages, and the strings and
+ * comments inside code): their words are not indexed. Code packs apply to names from the diff in files of
+ * their language (see the parser's tokenizers): their words are still suggested but rank below everything else.
+ *
+ * Model:
+ *   pack: { name, label, domain, words }
+ *     domain is 'prose' or 'code'; prose words match in any case, code words only as written
+ *     (`Self` and `self` are different Rust keywords)
+ */
+class StopwordPacks {
+    constructor() {
+        this.packs = []; // In display order
+        this.registerDefaultPacks();
+
+        this.proseWords = new Set(); // Lower-cased words of the enabled prose packs
+        this.codeWords = new Map(); // Enabled code pack name -> its words
+        this.configure(DEFAULT_PACKS); // Until settings are loaded (see lib/defaults.js)
+    }
+
+    /**
+     * Register a pack (a pack with the same name is replaced)
+     * @param {Object} pack - { name, label, domain, words }
+     */
+    register(pack) {
+        this.packs = this.packs.filter(existing => existing.name !== pack.name);
+        this.packs.push(pack);
+    }
+
+    /**
+     * Register the bundled packs
+     */
+    registerDefaultPacks() {
+        this.register({
+            name: 'en',
+            label: 'English',
+            domain: 'prose',
+            words: [
+                'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+                'from', 'up', 'about', 'into', 'through', 'during', 'before', 'after',
+                'above', 'below', 'between', 'among', 'is', 'are', 'was', 'were', 'be',
+                'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
+                'could', 'should', 'may', 'might', 'must', 'can', 'shall'
+            ]
+        });
+
+        this.register({
+            name: 'de',
+            label: 'German',
+            domain: 'prose',
+            words: [
+                'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines',
+                'und', 'oder', 'aber', 'doch', 'nicht', 'kein', 'keine', 'ist', 'sind', 'war', 'waren', 'sein',
+                'bin', 'bist', 'hat', 'haben', 'hatte', 'wird', 'werden', 'wurde', 'kann', 'können', 'muss',
+                'müssen', 'soll', 'sollte', 'würde', 'mit', 'von', 'vom', 'zu', 'zum', 'zur', 'für', 'auf',
+                'aus', 'bei', 'nach', 'über', 'unter', 'vor', 'an', 'am', 'im', 'ins', 'als', 'wie', 'wenn',
+                'dass', 'auch', 'noch', 'nur', 'schon', 'so', 'da', 'hier', 'dann', 'ich', 'du', 'er', 'sie',
+                'es', 'wir', 'ihr', 'man', 'sich', 'mir', 'mich', 'dir', 'dich', 'uns', 'euch', 'ihm', 'ihn',
+                'ihnen', 'diese', 'dieser', 'dieses', 'mal', 'ja', 'nein'
+            ]
+        });
+
+        this.register({
+            name: 'javascript',
+            label: 'JavaScript/TypeScript',
+            domain: 'code',
+            words: [
+                'as', 'async', 'await', 'break', 'case', 'catch', 'const', 'continue', 'default', 'delete',
+                'do', 'else', 'export', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+                'instanceof', 'let', 'new', 'null', 'of', 'return', 'switch', 'this', 'throw', 'true', 'try',
+                'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+            ]
+        });
+
+        this.register({
+            name: 'python',
+            label: 'Python',
+            domain: 'code',
+            words: [
+                'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'cls', 'continue',
+                'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+                'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'try', 'while',
+                'with', 'yield'
+            ]
+        });
+
+        this.register({
+            name: 'go',
+            label: 'Go',
+            domain: 'code',
+            words: [
+                'break', 'case', 'const', 'continue', 'default', 'defer', 'else', 'err', 'false', 'for', 'func',
+                'go', 'if', 'import', 'nil', 'package', 'range', 'return', 'switch', 'true', 'type', 'var'
+            ]
+        });
+
+        this.register({
+            name: 'rust',
+            label: 'Rust',
+            domain: 'code',
+            words: [
+                'as', 'break', 'const', 'continue', 'crate', 'else', 'false', 'fn', 'for', 'if', 'impl', 'in',
+                'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'super',
+                'true', 'use', 'where', 'while'
+            ]
+        });
+
+        this.register({
+            name: 'java',
+            label: 'Java',
+            domain: 'code',
+            words: [
+                'break', 'case', 'catch', 'class', 'continue', 'default', 'do', 'else', 'extends', 'false',
+                'final', 'finally', 'for', 'if', 'implements', 'import', 'new', 'null', 'package', 'private',
+                'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'throws', 'true',
+                'try', 'void', 'while'
+            ]
+        });
+
+        this.register({
+            name: 'c',
+            label: 'C/C++',
+            domain: 'code',
+            words: [
+                'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'define', 'do', 'else', 'endif',
+                'for', 'if', 'ifdef', 'ifndef', 'include', 'int', 'nullptr', 'return', 'sizeof', 'static',
+                'struct', 'switch', 'this', 'typedef', 'unsigned', 'void', 'while'
+            ]
+        });
+    }
+
+    /**
+     * Look up a pack
+     * @param {string} name - Pack name, e.g. 'en' or 'rust'
+     * @returns {Object|null} Pack, or null if unknown
+     */
+    get(name) {
+        return this.packs.find(pack => pack.name === name) || null;
+    }
+
+    /**
+     * Get a pack's words with the user's edits applied
+     * @param {Object} pack - Pack
+     * @param {Object} edits - Pack name -> { added, removed } word lists (from the options page)
+     * @returns {string[]} Bundled words minus the removed ones, then the added ones
+     */
+    getWords(pack, edits = {}) {
+        const edit = (edits && edits[pack.name]) || {};
+        const removed = new Set(edit.removed || []);
+        const words = pack.words.filter(word => !removed.has(word));
+        return Array.from(new Set([...words, ...(edit.added || [])]));
+    }
+
+    /**
+     * Describe an edited word list as changes to a pack's bundled words
+     * Only the changes are stored: sync storage holds at most 8 KB per setting.
+     * @param {Object} pack - Pack
+     * @param {string[]} words - Words the user kept and added
+     * @returns {Object|null} { added, removed }, or null if the list is the bundled one
+     */
+    diffWords(pack, words) {
+        const bundled = new Set(pack.words);
+        const kept = new Set(words);
+        const added = words.filter(word => !bundled.has(word));
+        const removed = pack.words.filter(word => !kept.has(word));
+        return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+    }
+
+    /**
+     * Choose the packs in use
+     * @param {string[]} names - Packs to enable; unknown names are ignored
+     * @param {Object} edits - Pack name -> { added, removed } word lists (from the options page)
+     */
+    configure(names = [], edits = {}) {
+        this.proseWords = new Set();
+        this.codeWords = new Map();
+
+        names.forEach(name => {
+            const pack = this.get(name);
+            if (!pack) return;
+
+            const words = this.getWords(pack, edits);
+            if (pack.domain === 'prose') {
+                words.forEach(word => this.proseWords.add(word.toLowerCase()));
+            } else {
+                this.codeWords.set(name, new Set(words));
+            }
+        });
+    }
+
+    /**
+     * Check if a word from prose is left out
+     * @param {string} word - Word
+     * @returns {boolean} True if an enabled prose pack lists the word (any case)
+     */
+    isProseStopword(word) {
+        return this.proseWords.has(word.toLowerCase());
+    }
+
+    /**
+     * Check if a name from code ranks last
+     * @param {string} word - Word
+     * @param {Iterable<string>} packNames - Code packs of the languages the word was seen in
+     * @returns {boolean} True if one of those packs is enabled and lists the word as written
+     */
+    isCodeStopword(word, packNames) {
+        for (const name of packNames) {
+            const words = this.codeWords.get(name);
+            if (words && words.has(word)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Read a word list typed into the options page
+     * @param {string} text - Words separated by spaces, commas or new lines
+     * @returns {string[]} Words, without duplicates
+     */
+    parseWords(text) {
+        const words = (text || '').split(/[\s,]+/).filter(word => word.length > 0);
+        return Array.from(new Set(words));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StopwordPacks };
+}
@@ -0,0 +1,143 @@
+/**
+ * Substring index
+ * Finds identifiers by any part of their name, not just the start: `Handler` finds
+ * `FileUploadHandler`, and the glob `*Handler` lists every identifier ending in it
+ */
+class SubstringIndex {
+    constructor() {
+        this.gramLength = 3;
+        this.grams = new Map(); // lowercased trigram -> words containing it
+        this.words = new Set();
+    }
+
+    /**
+     * Distinct lowercased n-grams of a string
+     * @param {string} text - Text to split
+     * @returns {Set<string>} N-grams (empty if the text is shorter than one n-gram)
+     */
+    gramsOf(text) {
+        const lower = text.toLowerCase();
+        const grams = new Set();
+        for (let i = 0; i + this.gramLength <= lower.length; i++) {
+            grams.add(lower.substring(i, i + this.gramLength));
+        }
+        return grams;
+    }
+
+    /**
+     * Add a word to the index
+     * @param {string} word - Word to add
+     */
+    add(word) {
+        if (this.words.has(word)) return;
+
+        this.words.add(word);
+        for (const gram of this.gramsOf(word)) {
+            if (!this.grams.has(gram)) {
+                this.grams.set(gram, new Set());
+            }
+            this.grams.get(gram).add(word);
+        }
+    }
+
+    /**
+     * Remove a word from the index
+     * @param {string} word - Word to remove
+     */
+    remove(word) {
+        if (!this.words.delete(word)) return;
+
+        for (const gram of this.gramsOf(word)) {
+            const bucket = this.grams.get(gram);
+            if (bucket) {
+                bucket.delete(word);
+                if (bucket.size === 0) {
+                    this.grams.delete(gram);
+                }
+            }
+        }
+    }
+
+    /**
+     * Words that contain every n-gram of a fragment (a superset of the words containing the fragment)
+     * @param {string} fragment - Literal text, at least one n-gram long
+     * @returns {Iterable<string>} Candidate words
+     */
+    candidates(fragment) {
+        // Intersect starting from the rarest n-gram to keep the working set small
+        const buckets = [];
+        for (const gram of this.gramsOf(fragment)) {
+            const bucket = this.grams.get(gram);
+            if (!bucket) return [];
+            buckets.push(bucket);
+        }
+        buckets.sort((a, b) => a.size - b.size);
+
+        const [smallest, ...rest] = buckets;
+        return Array.from(smallest).filter(word => rest.every(bucket => bucket.has(word)));
+    }
+
+    /**
+     * Find words containing a fragment anywhere (case-insensitive)
+     * @param {string} fragment - Text being typed
+     * @param {number} maxResults - Maximum number of results
+     * @returns {string[]} Matching words
+     */
+    search(fragment, maxResults = 20) {
+        if (!fragment || fragment.length < this.gramLength) return [];
+
+        const lowerFragment = fragment.toLowerCase();
+        const results = [];
+        for (const word of this.candidates(fragment)) {
+            if (word.toLowerCase().includes(lowerFragment)) {
+                results.push(word);
+                if (results.length >= maxResults) break;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Find words matching a glob pattern, where `*` matches any run of characters
+     * and `?` matches exactly one
+     * @param {string} pattern - Glob pattern, e.g. `*Handler` or `get*By?d`
+     * @param {boolean} caseSensitive - Match case exactly (default: false)
+     * @returns {string[]} Matching words
+     */
+    glob(pattern, caseSensitive = false) {
+        if (!pattern) return [];
+
+        const source = pattern
+            .split(/([*?])/)
+            .map(part => part === '*' ? '.*' : part === '?' ? '.' : part.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&'))
+            .join('');
+        const regex = new RegExp(`^${source}$`, caseSensitive ? '' : 'i');
+
+        // Narrow down with the longest literal run when it is long enough to have n-grams
+        const longestLiteral = pattern
+            .split(/[*?]/)
+            .reduce((longest, literal) => literal.length > longest.length ? literal : longest, '');
+        const candidates = longestLiteral.length >= this.gramLength ? this.candidates(longestLiteral) : this.words;
+
+        const results = [];
+        for (const word of candidates) {
+            if (regex.test(word)) {
+                results.push(word);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Remove every word from the index
+     */
+    clear() {
+        this.grams.clear();
+        this.words.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SubstringIndex };
+}
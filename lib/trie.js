@@ -1,101 +1,353 @@
 /**
- * TrieNode class - equivalent to the C++ TrieNode
+ * TrieNode class - a radix (compressed) trie node
+ *
+ * Unlike the C++ TrieNode, which holds one character, `data` holds the whole label of the
+ * edge leading into this node, so chains of single-child nodes collapse into one node.
+ * Children are keyed by the first character of their label.
  */
 class TrieNode {
-    constructor() {
-        this.data = '';
+    constructor(data = '') {
+        this.data = data; // Edge label (lowercased key fragment)
         this.isEndOfWord = false;
+        this.count = 0; // Number of times the word ending here was inserted (all spellings)
+        this.spellings = new Map(); // Original spelling -> occurrence count, e.g. 'Config' and 'config'
+        this.bestScore = -Infinity; // Highest word score anywhere in this subtree (see ACT.setScorer)
         this.children = new Map(); // Using Map instead of unordered_map
     }
 }
 
 /**
- * Auto Complete Tree (ACT) class - JavaScript port of the C++ implementation
+ * Binary max-heap used by the best-first top-K search
+ */
+class MaxHeap {
+    /**
+     * @param {Function} compare - (a, b) => negative if a should be popped before b
+     */
+    constructor(compare) {
+        this.items = [];
+        this.compare = compare;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let first = i;
+                if (left < items.length && this.compare(items[left], items[first]) < 0) first = left;
+                if (right < items.length && this.compare(items[right], items[first]) < 0) first = right;
+                if (first === i) break;
+                [items[i], items[first]] = [items[first], items[i]];
+                i = first;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Auto Complete Tree (ACT) class - JavaScript port of the C++ implementation,
+ * backed by a radix trie to keep memory down on large diffs
+ *
+ * Words are keyed by their lowercased form so lookups are case-insensitive, and every
+ * end-of-word node keeps the original spellings that map to that key so suggestions
+ * come back exactly as they were written (`getUserName`, not `getusername`).
  */
 class ACT {
     constructor() {
         this.root = new TrieNode();
-        this.root.data = '\0';
         this.root.isEndOfWord = false;
+        this.wordCount = 0; // Number of stored spellings, kept up to date by insert/remove
+        
+        // Query-independent word score used to rank top-K results; defaults to frequency
+        this.scorer = (word, count) => count;
     }
 
     /**
-     * Insert a word into the Trie
+     * Set the function used to score words for top-K search and refresh all cached scores
+     * @param {Function} scorer - (spelling, count) => number, higher is better. Must not depend on the query.
+     */
+    setScorer(scorer) {
+        this.scorer = scorer;
+        this.rescoreAll();
+    }
+
+    /**
+     * Recompute a node's cached best score from its own spellings and its children
+     * @param {TrieNode} node - Node to update
+     */
+    updateBestScore(node) {
+        let best = -Infinity;
+        for (const [spelling, count] of node.spellings) {
+            best = Math.max(best, this.scorer(spelling, count));
+        }
+        for (const childNode of node.children.values()) {
+            best = Math.max(best, childNode.bestScore);
+        }
+        node.bestScore = best;
+    }
+
+    /**
+     * Refresh cached best scores along a word's path (call when its score inputs change)
+     * @param {string} word - Word whose score changed
+     */
+    rescore(word) {
+        const path = this.findPath(word);
+        if (!path) return;
+        
+        for (let i = path.length - 1; i >= 0; i--) {
+            this.updateBestScore(path[i]);
+        }
+    }
+
+    /**
+     * Refresh every cached best score in the trie
+     * @param {TrieNode} node - Subtree root (default: the trie root)
+     */
+    rescoreAll(node = this.root) {
+        // Preorder lists every parent before its children, so walking it backwards
+        // updates children first without recursion
+        const order = [];
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            order.push(current);
+            stack.push(...current.children.values());
+        }
+        
+        for (let i = order.length - 1; i >= 0; i--) {
+            this.updateBestScore(order[i]);
+        }
+    }
+
+    /**
+     * Insert a word into the Trie, incrementing its occurrence count if it already exists
      * @param {string} word - The word to insert
+     * @param {number} count - Number of occurrences to add (default: 1)
      */
-    insert(word) {
+    insert(word, count = 1) {
         if (!word || typeof word !== 'string' || word.length === 0) return;
         
-        // Prevent infinite recursion by limiting word length
-        if (word.length > 100) {
-            console.warn('GitHub PR AutoComplete: Skipping word that is too long:', word);
-            return;
+        // Walk the lowercased key, splitting edges where the key diverges from an existing label
+        const key = word.toLowerCase();
+        const path = [this.root];
+        let node = this.root;
+        let index = 0;
+        
+        while (index < key.length) {
+            const child = node.children.get(key[index]);
+            
+            if (!child) {
+                // No edge starts with this letter: the rest of the key becomes one new edge
+                const leaf = new TrieNode(key.slice(index));
+                node.children.set(key[index], leaf);
+                node = leaf;
+                path.push(node);
+                break;
+            }
+            
+            const common = this.commonPrefixLength(child.data, key, index);
+            if (common < child.data.length) {
+                // The key diverges (or ends) inside the edge: split it at the divergence point
+                const middle = new TrieNode(child.data.slice(0, common));
+                child.data = child.data.slice(common);
+                middle.children.set(child.data[0], child);
+                middle.bestScore = child.bestScore;
+                node.children.set(middle.data[0], middle);
+                node = middle;
+            } else {
+                node = child;
+            }
+            
+            index += common;
+            path.push(node);
         }
         
-        // Store both original and lowercase versions for case-insensitive matching
-        this.insertAllLetters(this.root, word, 0);
+        // Record the original spelling at the end node
+        if (!node.spellings.has(word)) {
+            this.wordCount++;
+        }
+        node.isEndOfWord = true;
+        node.count += count;
+        node.spellings.set(word, (node.spellings.get(word) || 0) + count);
         
-        // Only insert lowercase version if it's different from original
-        const lowerWord = word.toLowerCase();
-        if (word !== lowerWord) {
-            this.insertAllLetters(this.root, lowerWord, 0);
+        // Refresh cached best scores bottom-up
+        for (let i = path.length - 1; i >= 0; i--) {
+            this.updateBestScore(path[i]);
         }
     }
 
     /**
-     * Recursive helper to insert all letters of a word
-     * @param {TrieNode} node - Current node
-     * @param {string} word - Word being inserted
-     * @param {number} index - Current character index
+     * Length of the common prefix of an edge label and a key starting at an offset
+     * @param {string} label - Edge label
+     * @param {string} key - Key being walked
+     * @param {number} offset - Position in the key where the label starts
+     * @returns {number} Number of matching characters
      */
-    insertAllLetters(node, word, index) {
-        // Safety check to prevent infinite recursion
-        if (!node || index < 0 || index > word.length) {
-            console.warn('GitHub PR AutoComplete: Invalid parameters in insertAllLetters:', { node, word, index });
-            return;
+    commonPrefixLength(label, key, offset) {
+        let length = 0;
+        while (length < label.length && offset + length < key.length && label[length] === key[offset + length]) {
+            length++;
         }
+        return length;
+    }
+
+    /**
+     * Remove a word (exact spelling) from the Trie, pruning nodes that no longer lead to any word
+     * and merging nodes that are left with a single child
+     * @param {string} word - The word to remove
+     * @param {number} count - Number of occurrences to remove (default: all of them)
+     * @returns {boolean} True if the word was in the trie
+     */
+    remove(word, count = Infinity) {
+        if (!word || typeof word !== 'string') return false;
+        
+        // Record the path so empty nodes can be pruned bottom-up
+        const path = this.findPath(word);
+        if (!path) return false;
+        
+        const node = path[path.length - 1];
+        const existing = node.spellings.get(word);
+        if (!existing) return false;
         
-        if (index === word.length) {
-            // End of word
-            node.isEndOfWord = true;
-            return;
+        const removed = Math.min(existing, count);
+        if (removed === existing) {
+            node.spellings.delete(word);
+            this.wordCount--;
+        } else {
+            node.spellings.set(word, existing - removed);
         }
-
-        const letter = word[index];
+        node.count -= removed;
+        node.isEndOfWord = node.spellings.size > 0;
         
-        // Safety check for invalid characters
-        if (!letter || typeof letter !== 'string') {
-            console.warn('GitHub PR AutoComplete: Invalid letter at index', index, 'in word:', word);
-            return;
+        // Prune nodes that have neither words nor children, stopping at the root
+        let depth = path.length - 1;
+        while (depth > 0 && !path[depth].isEndOfWord && path[depth].children.size === 0) {
+            path[depth - 1].children.delete(path[depth].data[0]);
+            path.pop();
+            depth--;
         }
         
-        if (!node.children.has(letter)) {
-            // Letter not found in children
-            const newNode = new TrieNode();
-            newNode.data = letter;
-            newNode.isEndOfWord = false;
-            node.children.set(letter, newNode);
-            this.insertAllLetters(newNode, word, index + 1);
-        } else {
-            // Letter found in children
-            this.insertAllLetters(node.children.get(letter), word, index + 1);
+        // The deepest remaining node may now be a pass-through with a single child: absorb it
+        const last = path[depth];
+        if (depth > 0 && !last.isEndOfWord && last.children.size === 1) {
+            const [child] = last.children.values();
+            last.data += child.data;
+            last.children = child.children;
+            last.spellings = child.spellings;
+            last.count = child.count;
+            last.isEndOfWord = child.isEndOfWord;
         }
+        
+        // Refresh cached best scores on whatever is left of the path
+        for (let i = depth; i >= 0; i--) {
+            this.updateBestScore(path[i]);
+        }
+        
+        return true;
     }
 
     /**
      * Find all words starting from a given node
      * @param {TrieNode} node - Starting node
-     * @param {string} prefix - Current prefix
-     * @param {string[]} suggestions - Array to store suggestions
+     * @param {string[]} suggestions - Array to store suggestions (original spellings)
      */
-    findAllWordsFromNode(node, prefix, suggestions) {
-        if (node.isEndOfWord) {
-            suggestions.push(prefix);
+    findAllWordsFromNode(node, suggestions) {
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current.isEndOfWord) {
+                suggestions.push(...current.spellings.keys());
+            }
+            
+            // Reversed so children are visited in insertion order
+            stack.push(...Array.from(current.children.values()).reverse());
+        }
+    }
+
+    /**
+     * Find the nodes from the root to the node that ends exactly at a key, ignoring case
+     * @param {string} key - Word to walk
+     * @returns {TrieNode[]|null} Path including the root, or null if no node ends at the key
+     */
+    findPath(key) {
+        const lowerKey = key.toLowerCase();
+        const path = [this.root];
+        let node = this.root;
+        let index = 0;
+        
+        while (index < lowerKey.length) {
+            node = node.children.get(lowerKey[index]);
+            if (!node || !lowerKey.startsWith(node.data, index)) {
+                return null;
+            }
+            index += node.data.length;
+            path.push(node);
         }
         
-        for (const [char, childNode] of node.children) {
-            this.findAllWordsFromNode(childNode, prefix + char, suggestions);
+        return path;
+    }
+
+    /**
+     * Find the node at the end of a key, ignoring case
+     * @param {string} key - Word to walk
+     * @returns {TrieNode|null} Node for the key, or null if no node ends exactly at the key
+     */
+    findNode(key) {
+        const path = this.findPath(key);
+        return path ? path[path.length - 1] : null;
+    }
+
+    /**
+     * Find the highest node whose subtree holds exactly the words starting with a prefix.
+     * The prefix may end in the middle of that node's edge label.
+     * @param {string} prefix - Prefix to walk
+     * @returns {TrieNode|null} Node, or null if no word starts with the prefix
+     */
+    findPrefixNode(prefix) {
+        const lowerPrefix = prefix.toLowerCase();
+        let node = this.root;
+        let index = 0;
+        
+        while (index < lowerPrefix.length) {
+            node = node.children.get(lowerPrefix[index]);
+            if (!node) {
+                return null;
+            }
+            
+            const remaining = lowerPrefix.length - index;
+            if (remaining <= node.data.length) {
+                // The prefix ends on this edge
+                return node.data.startsWith(lowerPrefix.slice(index)) ? node : null;
+            }
+            if (!lowerPrefix.startsWith(node.data, index)) {
+                return null;
+            }
+            index += node.data.length;
         }
+        
+        return node;
     }
 
     /**
@@ -105,40 +357,112 @@ class ACT {
      */
     autoComplete(prefix) {
         const suggestions = [];
-        let node = this.root;
-
-        // Convert to lowercase for case-insensitive matching
-        const lowerPrefix = prefix.toLowerCase();
 
-        // Navigate to the end of the prefix
-        for (const letter of lowerPrefix) {
-            if (!node.children.has(letter)) {
-                // Letter not found in children
-                return suggestions;
-            } else {
-                // Letter found in children
-                node = node.children.get(letter);
-            }
+        // Navigate to the end of the prefix (case-insensitive)
+        const node = this.findPrefixNode(prefix);
+        if (!node) {
+            return suggestions;
         }
 
         // Node is now at the end of the prefix
-        this.findAllWordsFromNode(node, lowerPrefix, suggestions);
+        this.findAllWordsFromNode(node, suggestions);
         return suggestions;
     }
 
     /**
-     * Fuzzy search with edit distance tolerance
+     * Get the K best-scoring completions of a prefix without visiting the whole subtree.
+     * Subtrees are expanded best-first using each node's cached best score, so the work is
+     * proportional to K (plus ties) rather than to the number of completions.
+     * @param {string} prefix - The prefix to search for
+     * @param {number} k - Number of results to return
+     * @param {Function} compareTies - (a, b) ordering for words with equal scores
+     *     (default: shorter first, then alphabetical)
+     * @param {Function|null} accept - Keeps a spelling when it returns true (default: keep all);
+     *     rejected spellings don't count towards K
+     * @returns {string[]} Up to K spellings, best first
+     */
+    topK(prefix, k, compareTies = (a, b) => (a.length - b.length) || a.localeCompare(b), accept = null) {
+        const results = [];
+        const start = this.findPrefixNode(prefix);
+        if (!start || k <= 0) {
+            return results;
+        }
+        
+        // Higher score first; on equal scores expand subtrees before emitting words, so that
+        // every word sharing a score is in the queue before the tie-break decides between them
+        const queue = new MaxHeap((a, b) => {
+            if (a.score !== b.score) return b.score - a.score;
+            if (a.node && b.node) return 0;
+            if (a.node || b.node) return a.node ? -1 : 1;
+            return compareTies(a.word, b.word);
+        });
+        queue.push({ score: start.bestScore, node: start });
+        
+        while (queue.size > 0 && results.length < k) {
+            const entry = queue.pop();
+            if (!entry.node) {
+                if (!accept || accept(entry.word)) {
+                    results.push(entry.word);
+                }
+                continue;
+            }
+            
+            for (const [spelling, count] of entry.node.spellings) {
+                queue.push({ score: this.scorer(spelling, count), word: spelling });
+            }
+            for (const childNode of entry.node.children.values()) {
+                queue.push({ score: childNode.bestScore, node: childNode });
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Maximum edit distance worth allowing for a query of a given length. Two edits on a
+     * three-letter query match almost anything, so short queries get less tolerance.
+     * @param {string} query - The search query
+     * @returns {number} Maximum edit distance (0 for 1-2 characters, 1 for 3-5, 2 otherwise)
+     */
+    getMaxEditDistance(query) {
+        const length = query ? query.length : 0;
+        if (length <= 2) return 0;
+        if (length <= 5) return 1;
+        return 2;
+    }
+
+    /**
+     * Fuzzy search with edit distance tolerance (Damerau: insertions, deletions,
+     * substitutions and adjacent transpositions such as "funciton" -> "function")
      * @param {string} query - The search query
-     * @param {number} maxDistance - Maximum edit distance allowed (default: 2)
+     * @param {number} maxDistance - Maximum edit distance allowed (default: scaled to the query length)
      * @param {number} maxResults - Maximum number of results to return (default: 20)
-     * @returns {Array} Array of {word, distance} objects sorted by relevance
+     * @returns {string[]} Matching words sorted by distance, then by length
      */
-    fuzzySearch(query, maxDistance = 2, maxResults = 20) {
+    fuzzySearch(query, maxDistance = this.getMaxEditDistance(query), maxResults = 20) {
         const results = [];
+        if (!query) return results;
+        
         const lowerQuery = query.toLowerCase();
         
-        // Start fuzzy search from root
-        this.fuzzySearchHelper(this.root, '', lowerQuery, 0, maxDistance, results);
+        // Edit distances between the empty prefix and every prefix of the query
+        const firstRow = [];
+        for (let i = 0; i <= lowerQuery.length; i++) {
+            firstRow.push(i);
+        }
+        
+        // Depth-first from the root; shared prefixes are computed once, one DP row per key character
+        const stack = Array.from(this.root.children.values(), childNode => ({
+            node: childNode,
+            previousLetter: '',
+            previousRow: firstRow,
+            rowBeforePrevious: null
+        })).reverse();
+        
+        while (stack.length > 0) {
+            const { node, previousLetter, previousRow, rowBeforePrevious } = stack.pop();
+            this.fuzzySearchHelper(node, previousLetter, lowerQuery, previousRow, rowBeforePrevious, maxDistance, results, stack);
+        }
         
         // Sort by distance (lower is better) and then by length (shorter is better)
         results.sort((a, b) => {
@@ -163,42 +487,80 @@ class ACT {
     }
 
     /**
-     * Helper method for fuzzy search using dynamic programming
+     * Helper method for fuzzy search. Computes one edit distance row per character of the
+     * node's edge label, starting from its parent's row (and the row before that, for transpositions),
+     * then queues the children that still need to be visited.
      * @param {TrieNode} node - Current trie node
-     * @param {string} currentWord - Current word being built
-     * @param {string} query - Search query
-     * @param {number} depth - Current depth in trie
+     * @param {string} previousLetter - Last key character before this node's label ('' at the root)
+     * @param {string} query - Search query (lowercase)
+     * @param {number[]} previousRow - Edit distance row at the end of the parent's label
+     * @param {number[]|null} rowBeforePrevious - Edit distance row one character before that
      * @param {number} maxDistance - Maximum allowed edit distance
-     * @param {Array} results - Array to store results
+     * @param {Array} results - Array to store {word, distance} results
+     * @param {Object[]} stack - Pending { node, previousLetter, previousRow, rowBeforePrevious } visits
      */
-    fuzzySearchHelper(node, currentWord, query, depth, maxDistance, results) {
+    fuzzySearchHelper(node, previousLetter, query, previousRow, rowBeforePrevious, maxDistance, results, stack) {
+        let currentRow = previousRow;
+        
+        for (const letter of node.data) {
+            const nextRow = this.nextEditDistanceRow(query, letter, previousLetter, currentRow, rowBeforePrevious);
+            rowBeforePrevious = currentRow;
+            currentRow = nextRow;
+            previousLetter = letter;
+            
+            // Pruning: every longer word extends one of these alignments, so once the whole row
+            // exceeds maxDistance nothing further down this edge can come back within it
+            if (Math.min(...currentRow) > maxDistance) {
+                return;
+            }
+        }
+        
         // If we've found a complete word, check if it's within distance
-        if (node.isEndOfWord && currentWord.length > 0) {
-            const distance = this.levenshteinDistance(currentWord, query);
-            if (distance <= maxDistance) {
-                results.push({ word: currentWord, distance });
+        const distance = currentRow[query.length];
+        if (node.isEndOfWord && distance <= maxDistance) {
+            for (const spelling of node.spellings.keys()) {
+                results.push({ word: spelling, distance });
             }
         }
         
-        // Pruning: if minimum possible distance exceeds maxDistance, stop
-        const minPossibleDistance = Math.abs(currentWord.length - query.length);
-        if (minPossibleDistance > maxDistance) {
-            return;
+        const children = Array.from(node.children.values());
+        for (let i = children.length - 1; i >= 0; i--) {
+            stack.push({ node: children[i], previousLetter, previousRow: currentRow, rowBeforePrevious });
         }
+    }
+
+    /**
+     * Compute the edit distance row for one more key character
+     * @param {string} query - Search query (lowercase)
+     * @param {string} letter - Key character being added
+     * @param {string} previousLetter - Key character before it ('' if none)
+     * @param {number[]} previousRow - Row for the key without `letter`
+     * @param {number[]|null} rowBeforePrevious - Row for the key without `previousLetter` and `letter`
+     * @returns {number[]} Row of distances from the extended key to every prefix of the query
+     */
+    nextEditDistanceRow(query, letter, previousLetter, previousRow, rowBeforePrevious) {
+        const currentRow = [previousRow[0] + 1];
         
-        // Continue exploring children
-        for (const [char, childNode] of node.children) {
-            const newWord = currentWord + char;
+        for (let i = 1; i <= query.length; i++) {
+            let cost = Math.min(
+                currentRow[i - 1] + 1,                                   // insertion
+                previousRow[i] + 1,                                      // deletion
+                previousRow[i - 1] + (query[i - 1] === letter ? 0 : 1)   // substitution
+            );
             
-            // Early pruning: if current word is much longer than query, skip
-            if (newWord.length <= query.length + maxDistance) {
-                this.fuzzySearchHelper(childNode, newWord, query, depth + 1, maxDistance, results);
+            // Adjacent transposition (optimal string alignment)
+            if (rowBeforePrevious && i > 1 && query[i - 1] === previousLetter && query[i - 2] === letter) {
+                cost = Math.min(cost, rowBeforePrevious[i - 2] + 1);
             }
+            
+            currentRow.push(cost);
         }
+        
+        return currentRow;
     }
 
     /**
-     * Calculate Levenshtein distance between two strings
+     * Calculate Damerau-Levenshtein (optimal string alignment) distance between two strings
      * @param {string} str1 - First string
      * @param {string} str2 - Second string
      * @returns {number} Edit distance
@@ -227,6 +589,13 @@ class ACT {
                         matrix[i - 1][j] + 1      // deletion
                     );
                 }
+                
+                // Adjacent transposition
+                if (i > 1 && j > 1 &&
+                    str2.charAt(i - 1) === str1.charAt(j - 2) &&
+                    str2.charAt(i - 2) === str1.charAt(j - 1)) {
+                    matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1);
+                }
             }
         }
         
@@ -244,15 +613,15 @@ class ACT {
             return [];
         }
         
-        // First try exact prefix matching
-        const exactMatches = this.autoComplete(query);
+        // First try exact prefix matching, best-scoring completions only
+        const exactMatches = this.topK(query, maxResults);
         
         if (exactMatches.length >= maxResults) {
-            return exactMatches.slice(0, maxResults);
+            return exactMatches;
         }
         
         // If not enough exact matches, supplement with fuzzy matches
-        const fuzzyMatches = this.fuzzySearch(query, 2, maxResults * 2);
+        const fuzzyMatches = this.fuzzySearch(query, this.getMaxEditDistance(query), maxResults * 2);
         
         // Combine results, prioritizing exact matches
         const combined = [...exactMatches];
@@ -269,23 +638,141 @@ class ACT {
 
     /**
      * Get the size of the trie (number of words)
-     * @returns {number} Number of words in the trie
+     * @returns {number} Number of stored spellings (constant time)
      */
     size() {
-        return this.countWords(this.root);
+        return this.wordCount;
     }
 
     /**
-     * Count total words in the trie
-     * @param {TrieNode} node - Current node
-     * @returns {number} Number of words
+     * Estimate the memory held by the trie. The figures are rough per-object costs for V8
+     * (object headers, Map tables, two bytes per string character), meant for comparing
+     * PRs rather than exact accounting.
+     * @returns {Object} { nodes, bytes }
      */
-    countWords(node) {
-        let count = node.isEndOfWord ? 1 : 0;
-        for (const [char, childNode] of node.children) {
-            count += this.countWords(childNode);
+    estimateMemory() {
+        const NODE_BYTES = 64;        // TrieNode object with its fields
+        const MAP_BYTES = 80;         // Empty Map (children and spellings per node)
+        const MAP_ENTRY_BYTES = 24;   // Per Map entry
+        const STRING_BYTES = 16;      // String header
+        
+        let nodes = 0;
+        let bytes = 0;
+        const stack = [this.root];
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            nodes++;
+            bytes += NODE_BYTES + 2 * MAP_BYTES + STRING_BYTES + node.data.length * 2;
+            bytes += node.children.size * MAP_ENTRY_BYTES;
+            for (const spelling of node.spellings.keys()) {
+                bytes += MAP_ENTRY_BYTES + STRING_BYTES + spelling.length * 2;
+            }
+            stack.push(...node.children.values());
         }
-        return count;
+        
+        return { nodes, bytes };
+    }
+
+    /**
+     * Iterate over every stored spelling and its occurrence count
+     * @returns {Generator<[string, number]>} [spelling, count] pairs
+     */
+    *entries() {
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            yield* node.spellings;
+            stack.push(...node.children.values());
+        }
+    }
+
+    /**
+     * Serialize the trie into a compact flat array (preorder, no nesting):
+     *
+     *     [version, label, childCount, spellingCount, (spelling, count) * spellingCount, ...]
+     *
+     * A spelling identical to its lowercased key is stored as 0 instead of repeating the string.
+     * Cached scores are not stored; they are recomputed with the current scorer on load.
+     * @returns {Array<string|number>} Flat encoding of the trie
+     */
+    serialize() {
+        const data = [ACT.SERIALIZATION_VERSION];
+        const stack = [{ node: this.root, key: '' }];
+        
+        while (stack.length > 0) {
+            const { node, key } = stack.pop();
+            data.push(node.data, node.children.size, node.spellings.size);
+            for (const [spelling, count] of node.spellings) {
+                data.push(spelling === key ? 0 : spelling, count);
+            }
+            
+            // Push in reverse so children are written in insertion order
+            const children = Array.from(node.children.values());
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push({ node: children[i], key: key + children[i].data });
+            }
+        }
+        
+        return data;
+    }
+
+    /**
+     * Replace the contents of this trie with a snapshot produced by serialize()
+     * @param {Array<string|number>} data - Flat encoding of a trie
+     * @returns {ACT} This trie
+     */
+    deserialize(data) {
+        if (!Array.isArray(data) || data[0] !== ACT.SERIALIZATION_VERSION) {
+            throw new Error('GitHub PR AutoComplete: Unsupported trie snapshot format');
+        }
+        
+        this.root = new TrieNode();
+        this.wordCount = 0;
+        
+        let position = 1;
+        // Each frame is a node still waiting for `remaining` children to be read
+        const stack = [];
+        
+        while (position < data.length) {
+            const label = data[position++];
+            const childCount = data[position++];
+            const spellingCount = data[position++];
+            
+            let node;
+            let key;
+            if (stack.length === 0) {
+                node = this.root;
+                key = '';
+            } else {
+                const parent = stack[stack.length - 1];
+                node = new TrieNode(label);
+                parent.node.children.set(label[0], node);
+                parent.remaining--;
+                key = parent.key + label;
+            }
+            
+            for (let i = 0; i < spellingCount; i++) {
+                const spelling = data[position++];
+                const count = data[position++];
+                node.spellings.set(spelling === 0 ? key : spelling, count);
+                node.count += count;
+            }
+            this.wordCount += spellingCount;
+            node.isEndOfWord = node.spellings.size > 0;
+            
+            if (childCount > 0) {
+                stack.push({ node, key, remaining: childCount });
+            } else {
+                // Close every ancestor whose children have all been read
+                while (stack.length > 0 && stack[stack.length - 1].remaining === 0) {
+                    stack.pop();
+                }
+            }
+        }
+        
+        this.rescoreAll();
+        return this;
     }
 
     /**
@@ -294,19 +781,39 @@ class ACT {
      * @returns {boolean} True if word exists
      */
     contains(word) {
-        let node = this.root;
-        const lowerWord = word.toLowerCase();
-        for (const letter of lowerWord) {
-            if (!node.children.has(letter)) {
-                return false;
-            }
-            node = node.children.get(letter);
-        }
-        return node.isEndOfWord;
+        const node = this.findNode(word);
+        return !!node && node.isEndOfWord;
+    }
+
+    /**
+     * Get the number of times a word was inserted with exactly this spelling
+     * @param {string} word - Word to look up
+     * @returns {number} Occurrence count (0 if the word is not in the trie)
+     */
+    getCount(word) {
+        if (!word) return 0;
+        
+        const node = this.findNode(word);
+        return node ? (node.spellings.get(word) || 0) : 0;
+    }
+
+    /**
+     * Get every original spelling stored under a word's case-insensitive key
+     * @param {string} word - Word to look up, in any case
+     * @returns {string[]} Spellings such as ['Config', 'config']
+     */
+    getSpellings(word) {
+        if (!word) return [];
+        
+        const node = this.findNode(word);
+        return node ? Array.from(node.spellings.keys()) : [];
     }
 }
 
+// Bumped whenever the serialize() layout changes so stale snapshots are rejected
+ACT.SERIALIZATION_VERSION = 2;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TrieNode, ACT };
+    module.exports = { TrieNode, MaxHeap, ACT };
 }
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * PR vocabulary
+ * Word occurrence counts, plus where in the PR each word was seen, what kind of token it was
+ * and whether its lines were added, removed or unchanged. It is a Map of word -> count, so it
+ * can be passed anywhere a plain count Map is expected.
+ */
+class Vocabulary extends Map {
+    /**
+     * @param {Iterable<[string, number]>} entries - Initial word counts
+     */
+    constructor(entries) {
+        super(entries);
+        this.locations = new Map(); // word -> [{ path, side, line, anchor }]
+        this.kinds = new Map(); // word -> Set of token kinds: identifier, keyword, string, comment (or commit, for commit messages)
+        this.changes = new Map(); // word -> Set of diff line changes: added, removed, context (or same-file, see getChanges)
+        this.maxLocationsPerWord = 5; // Enough to tell similar symbols apart without storing every use
+    }
+
+    /**
+     * Record one occurrence of a word
+     * @param {string} word - Word to count
+     * @param {Object|null} source - { location, kind, change } of the occurrence, any of which may be missing
+     */
+    add(word, source = null) {
+        this.set(word, (this.get(word) || 0) + 1);
+        if (!source) return;
+
+        if (source.location) {
+            this.addLocation(word, source.location);
+        }
+        if (source.kind) {
+            this.addTag(this.kinds, word, source.kind);
+        }
+        if (source.change) {
+            this.addTag(this.changes, word, source.change);
+        }
+    }
+
+    /**
+     * Add a tag to a word's tag set
+     * @param {Map<string, Set<string>>} tags - Tag sets by word
+     * @param {string} word - Word
+     * @param {string} tag - Tag to add
+     */
+    addTag(tags, word, tag) {
+        if (!tags.has(word)) {
+            tags.set(word, new Set());
+        }
+        tags.get(word).add(tag);
+    }
+
+    /**
+     * Remember where a word appears (a location already recorded for the word is ignored)
+     * @param {string} word - Word
+     * @param {Object} location - { path, side, line, anchor }
+     *     side is 'left' (base) or 'right' (head), as in GitHub's diff line anchors; anchor is left out
+     *     for lines the "Files changed" tab doesn't show
+     */
+    addLocation(word, location) {
+        if (!this.locations.has(word)) {
+            this.locations.set(word, []);
+        }
+
+        const locations = this.locations.get(word);
+        if (locations.length >= this.maxLocationsPerWord) return;
+
+        const duplicate = locations.some(existing =>
+            existing.path === location.path && existing.side === location.side && existing.line === location.line
+        );
+        if (!duplicate) {
+            locations.push(location);
+        }
+    }
+
+    /**
+     * Get the places a word was seen, in page order
+     * @param {string} word - Word
+     * @returns {Object[]} Locations (empty if unknown)
+     */
+    getLocations(word) {
+        return this.locations.get(word) || [];
+    }
+
+    /**
+     * Get the kinds of token a word was seen as
+     * @param {string} word - Word
+     * @returns {Set<string>} Token kinds (empty if the word only appeared outside code)
+     */
+    getKinds(word) {
+        return this.kinds.get(word) || new Set();
+    }
+
+    /**
+     * Get the kinds of diff line a word was seen on
+     * @param {string} word - Word
+     * @returns {Set<string>} 'added', 'removed' and/or 'context', or 'same-file' for names declared in a
+     *     changed file outside its hunks (empty if the word was not seen in a diff line)
+     */
+    getChanges(word) {
+        return this.changes.get(word) || new Set();
+    }
+
+    /**
+     * Convert a vocabulary's tags to plain arrays for storage (the counts are kept by the trie snapshot)
+     * @param {Object} tags - { locations, kinds, changes } Maps, as on a Vocabulary
+     * @returns {Object} { locations, kinds, changes } as [word, value] entries, with tag Sets as arrays
+     */
+    static serializeTags({ locations, kinds, changes }) {
+        const entries = tagSets => Array.from(tagSets, ([word, tags]) => [word, Array.from(tags)]);
+        return {
+            locations: Array.from(locations),
+            kinds: entries(kinds),
+            changes: entries(changes)
+        };
+    }
+
+    /**
+     * Rebuild the tags written by serializeTags
+     * @param {Object|null} data - Output of serializeTags (null for snapshots saved without tags)
+     * @returns {Object} { locations, kinds, changes } Maps
+     */
+    static deserializeTags(data) {
+        const tagSets = entries => new Map((entries || []).map(([word, tags]) => [word, new Set(tags)]));
+        return {
+            locations: new Map((data && data.locations) || []),
+            kinds: tagSets(data && data.kinds),
+            changes: tagSets(data && data.changes)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Vocabulary };
+}
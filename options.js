@@ -7,17 +7,32 @@ const form = document.getElementById('settingsForm');
 const statusMessage = document.getElementById('statusMessage');
 const resetBtn = document.getElementById('resetBtn');
 
+// Bundled stopword packs, listed on the page with their words
+const stopwordPacks = new StopwordPacks();
+
 // Default settings
 const DEFAULT_SETTINGS = {
     enabled: true,
     maxSuggestions: 10,
     minWordLength: 2,
+    maxWordLength: 1000,
     debounceDelay: 300,
     triggerCharacters: [
         '.', '_', '-', ':', '/', '#', '@', '$', '{', '(', '[', ' ', '\n', '\t'
     ],
     fuzzyMatching: true,
-    caseInsensitive: true
+    caseInsensitive: true,
+    abbreviationMatching: true,
+    rankAddedFirst: true,
+    removedTokens: 'badge',
+    fullFileSymbols: false,
+    mentionSuggestions: true,
+    referenceSuggestions: true,
+    pathSuggestions: true,
+    pathLinks: true,
+    linePermalinks: true,
+    stopwordPacks: [...DEFAULT_PACKS], // From lib/defaults.js
+    stopwordEdits: {}
 };
 
 /**
@@ -36,9 +51,20 @@ async function loadSettings() {
             document.getElementById('enabled').checked = settings.enabled;
             document.getElementById('fuzzyMatching').checked = settings.fuzzyMatching;
             document.getElementById('caseInsensitive').checked = settings.caseInsensitive;
+            document.getElementById('abbreviationMatching').checked = settings.abbreviationMatching;
+            document.getElementById('rankAddedFirst').checked = settings.rankAddedFirst;
+            document.getElementById('removedTokens').value = settings.removedTokens;
+            document.getElementById('fullFileSymbols').checked = settings.fullFileSymbols;
+            document.getElementById('mentionSuggestions').checked = settings.mentionSuggestions;
+            document.getElementById('referenceSuggestions').checked = settings.referenceSuggestions;
+            document.getElementById('pathSuggestions').checked = settings.pathSuggestions;
+            document.getElementById('pathLinks').checked = settings.pathLinks;
+            document.getElementById('linePermalinks').checked = settings.linePermalinks;
             document.getElementById('maxSuggestions').value = settings.maxSuggestions;
             document.getElementById('minWordLength').value = settings.minWordLength;
+            document.getElementById('maxWordLength').value = settings.maxWordLength;
             document.getElementById('debounceDelay').value = settings.debounceDelay;
+            renderStopwordPacks(settings.stopwordPacks, settings.stopwordEdits);
             
             // Handle trigger characters - convert array to string
             const triggerCharsText = settings.triggerCharacters
@@ -73,9 +99,20 @@ function loadDefaultSettings() {
     document.getElementById('enabled').checked = DEFAULT_SETTINGS.enabled;
     document.getElementById('fuzzyMatching').checked = DEFAULT_SETTINGS.fuzzyMatching;
     document.getElementById('caseInsensitive').checked = DEFAULT_SETTINGS.caseInsensitive;
+    document.getElementById('abbreviationMatching').checked = DEFAULT_SETTINGS.abbreviationMatching;
+    document.getElementById('rankAddedFirst').checked = DEFAULT_SETTINGS.rankAddedFirst;
+    document.getElementById('removedTokens').value = DEFAULT_SETTINGS.removedTokens;
+    document.getElementById('fullFileSymbols').checked = DEFAULT_SETTINGS.fullFileSymbols;
+    document.getElementById('mentionSuggestions').checked = DEFAULT_SETTINGS.mentionSuggestions;
+    document.getElementById('referenceSuggestions').checked = DEFAULT_SETTINGS.referenceSuggestions;
+    document.getElementById('pathSuggestions').checked = DEFAULT_SETTINGS.pathSuggestions;
+    document.getElementById('pathLinks').checked = DEFAULT_SETTINGS.pathLinks;
+    document.getElementById('linePermalinks').checked = DEFAULT_SETTINGS.linePermalinks;
     document.getElementById('maxSuggestions').value = DEFAULT_SETTINGS.maxSuggestions;
     document.getElementById('minWordLength').value = DEFAULT_SETTINGS.minWordLength;
+    document.getElementById('maxWordLength').value = DEFAULT_SETTINGS.maxWordLength;
     document.getElementById('debounceDelay').value = DEFAULT_SETTINGS.debounceDelay;
+    renderStopwordPacks(DEFAULT_SETTINGS.stopwordPacks, DEFAULT_SETTINGS.stopwordEdits);
     
     const triggerCharsText = DEFAULT_SETTINGS.triggerCharacters
         .map(char => {
@@ -115,6 +152,64 @@ function parseTriggerCharacters(text) {
         .filter((char, index, arr) => arr.indexOf(char) === index); // Remove duplicates
 }
 
+/**
+ * List the stopword packs, each with a checkbox and its words to edit
+ * @param {string[]} enabled - Names of the packs in use
+ * @param {Object} edits - Pack name -> { added, removed } words
+ */
+function renderStopwordPacks(enabled = [], edits = {}) {
+    const containers = {
+        prose: document.getElementById('proseStopwordPacks'),
+        code: document.getElementById('codeStopwordPacks')
+    };
+    Object.values(containers).forEach(container => container.replaceChildren());
+
+    stopwordPacks.packs.forEach(pack => {
+        const words = stopwordPacks.getWords(pack, edits);
+        const element = document.createElement('div');
+        element.className = 'stopword-pack';
+
+        const setting = document.createElement('div');
+        setting.className = 'checkbox-setting';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `stopwordPack-${pack.name}`;
+        checkbox.name = 'stopwordPacks';
+        checkbox.value = pack.name;
+        checkbox.checked = enabled.includes(pack.name);
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.textContent = pack.label;
+        setting.append(checkbox, label);
+
+        const textarea = document.createElement('textarea');
+        textarea.id = `stopwords-${pack.name}`;
+        textarea.name = `stopwords-${pack.name}`;
+        textarea.placeholder = 'Words separated by spaces or new lines...';
+        textarea.value = words.join(' ');
+
+        element.append(setting, textarea);
+        containers[pack.domain].appendChild(element);
+    });
+}
+
+/**
+ * Collect the packs whose words were edited
+ * @param {FormData} formData - Submitted form
+ * @returns {Object} Pack name -> { added, removed } words, for the packs that differ from the bundled words
+ */
+function collectStopwordEdits(formData) {
+    const edits = {};
+    stopwordPacks.packs.forEach(pack => {
+        const words = stopwordPacks.parseWords(formData.get(`stopwords-${pack.name}`));
+        const changes = stopwordPacks.diffWords(pack, words);
+        if (changes) {
+            edits[pack.name] = changes;
+        }
+    });
+    return edits;
+}
+
 /**
  * Validate form inputs
  * @param {Object} settings - Settings object to validate
@@ -131,6 +226,10 @@ function validateSettings(settings) {
         errors.push('Minimum word length must be between 1 and 5');
     }
     
+    if (settings.maxWordLength < 20 || settings.maxWordLength > 4096) {
+        errors.push('Maximum word length must be between 20 and 4096');
+    }
+    
     if (settings.debounceDelay < 100 || settings.debounceDelay > 1000) {
         errors.push('Response delay must be between 100 and 1000 milliseconds');
     }
@@ -180,11 +279,11 @@ async function saveSettings(settings) {
                 console.log('Could not notify content scripts:', error);
             }
         } else {
-            throw new Error('Failed to save settings');
+            throw new Error((response && response.error) || 'Failed to save settings');
         }
     } catch (error) {
         console.error('Error saving settings:', error);
-        showStatus('Error saving settings. Please try again.', 'error');
+        showStatus(`Error saving settings: ${error.message}`, 'error');
     }
 }
 
@@ -238,10 +337,22 @@ form.addEventListener('submit', async (e) => {
         enabled: formData.has('enabled'),
         fuzzyMatching: formData.has('fuzzyMatching'),
         caseInsensitive: formData.has('caseInsensitive'),
+        abbreviationMatching: formData.has('abbreviationMatching'),
+        rankAddedFirst: formData.has('rankAddedFirst'),
+        removedTokens: formData.get('removedTokens'),
+        fullFileSymbols: formData.has('fullFileSymbols'),
+        mentionSuggestions: formData.has('mentionSuggestions'),
+        referenceSuggestions: formData.has('referenceSuggestions'),
+        pathSuggestions: formData.has('pathSuggestions'),
+        pathLinks: formData.has('pathLinks'),
+        linePermalinks: formData.has('linePermalinks'),
         maxSuggestions: parseInt(formData.get('maxSuggestions')),
         minWordLength: parseInt(formData.get('minWordLength')),
+        maxWordLength: parseInt(formData.get('maxWordLength')),
         debounceDelay: parseInt(formData.get('debounceDelay')),
-        triggerCharacters: parseTriggerCharacters(formData.get('triggerCharacters'))
+        triggerCharacters: parseTriggerCharacters(formData.get('triggerCharacters')),
+        stopwordPacks: formData.getAll('stopwordPacks'),
+        stopwordEdits: collectStopwordEdits(formData)
     };
     
     // Validate settings
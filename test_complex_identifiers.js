@@ -21,7 +21,7 @@ function testParserExtraction() {
     }
     
     const parser = new GitHubParser();
-    const words = new Set();
+    const words = new Map(); // word -> occurrence count
     
     // Test text containing complex identifiers
     const testText = `
@@ -52,10 +52,10 @@ function testParserExtraction() {
     
     parser.extractWordsFromText(testText, words);
     
-    console.log('Extracted words:', Array.from(words));
+    console.log('Extracted words:', Array.from(words.keys()));
     
     // Check if complex identifiers were extracted
-    const extractedWords = Array.from(words);
+    const extractedWords = Array.from(words.keys());
     const foundComplex = [];
     
     Object.values(testData).flat().forEach(expected => {
@@ -0,0 +1,225 @@
+// Test script for the unified diff parser
+// Run with: node test_diff.js
+const fs = require('fs');
+const path = require('path');
+const { DiffParser } = require('./lib/diff.js');
+
+console.log('Testing unified diff parser...');
+
+// Saved `.diff` files: a PR touching a TypeScript, a deleted JavaScript and a new Python file,
+// and one made of renames, copies, mode changes, a binary file and unusual paths
+const pullRequestDiff = fs.readFileSync(path.join(__dirname, 'fixtures', 'pull-request.diff'), 'utf8');
+const renamesDiff = fs.readFileSync(path.join(__dirname, 'fixtures', 'renames-and-modes.diff'), 'utf8');
+// The same PR as a `.patch` series of three commits
+const pullRequestPatch = fs.readFileSync(path.join(__dirname, 'fixtures', 'pull-request.patch'), 'utf8');
+
+// Run a list of [name, actual, expected] checks and report each one
+function runChecks(checks) {
+    let passed = true;
+    checks.forEach(([name, actual, expected]) => {
+        if (actual === expected) {
+            console.log(`✅ ${name}`);
+        } else {
+            console.log(`❌ ${name}: expected ${expected}, got ${actual}`);
+            passed = false;
+        }
+    });
+    return passed;
+}
+
+// Find a parsed file by its path
+function fileAt(files, filePath) {
+    return files.find(file => file.path === filePath) || {};
+}
+
+// Test 1: Files, statuses and paths
+function testFiles() {
+    console.log('\n=== Test 1: Files ===');
+
+    const files = new DiffParser().parse(pullRequestDiff);
+    const [client, legacy, script] = files;
+
+    return runChecks([
+        ['files in diff order', JSON.stringify(files.map(file => file.path)),
+            JSON.stringify(['src/net/client.ts', 'src/legacy/oldRetry.js', 'tools/build_index.py'])],
+        ['modified file', `${client.status} ${client.oldPath} ${client.newPath}`, 'modified src/net/client.ts src/net/client.ts'],
+        ['new file', `${script.status} ${script.oldPath} ${script.newMode}`, 'added null 100644'],
+        ['deleted file keeps its path', `${legacy.status} ${legacy.path} ${legacy.newPath}`, 'deleted src/legacy/oldRetry.js null'],
+        ['removed line starting with "--" is not a file header', legacy.hunks[0].lines[1].text, '-- decrementAttempts;'],
+        ['empty input', new DiffParser().parse('').length, 0]
+    ]);
+}
+
+// Test 2: Hunks and line numbers
+function testHunks() {
+    console.log('\n=== Test 2: Hunks and Line Numbers ===');
+
+    const files = new DiffParser().parse(pullRequestDiff);
+    const hunk = files[0].hunks[0];
+    const lines = hunk.lines;
+    const spaced = fileAt(new DiffParser().parse(renamesDiff), 'src/with space.c').hunks[0];
+
+    return runChecks([
+        ['hunk ranges', `${hunk.oldStart},${hunk.oldLines} ${hunk.newStart},${hunk.newLines}`, '38,7 38,9'],
+        ['function context', hunk.context, 'export class HttpClient {'],
+        ['function context without braces', spaced.context, 'int main(void)'],
+        ['line changes', lines.map(line => line.change[0]).join(''), 'ccrraaaaccc'],
+        ['removed line numbered on the base side', `${lines[2].oldLine}/${lines[2].newLine}`, '40/null'],
+        ['added line numbered on the head side', `${lines[7].oldLine}/${lines[7].newLine}`, 'null/43'],
+        ['context line numbered on both sides', `${lines[10].oldLine}/${lines[10].newLine}`, '44/46'],
+        ['marker stripped from text', lines[4].text, '  /* Retries use exponential'],
+        ['empty context line', JSON.stringify(lines[1].text), '""'],
+        ['hunk without line counts', JSON.stringify(fileAt(new DiffParser().parse(renamesDiff), 'docs/café notes.txt').hunks[0].lines.map(line => line.change)),
+            JSON.stringify(['removed', 'added'])]
+    ]);
+}
+
+// Test 3: Renames and copies
+function testRenames() {
+    console.log('\n=== Test 3: Renames and Copies ===');
+
+    const files = new DiffParser().parse(renamesDiff);
+    const renamed = fileAt(files, 'src/text/strings.js');
+    const pureRename = fileAt(files, 'docs/new name.md');
+    const copied = fileAt(files, 'src/text/strings.test.js');
+
+    return runChecks([
+        ['rename with changes', `${renamed.status} ${renamed.oldPath} -> ${renamed.newPath}`, 'renamed src/util/strings.js -> src/text/strings.js'],
+        ['similarity', renamed.similarity, 92],
+        ['rename with changes keeps its hunk', renamed.hunks.length, 1],
+        ['rename without changes, paths with spaces', `${pureRename.status} ${pureRename.oldPath} -> ${pureRename.newPath}`,
+            'renamed docs/old name.md -> docs/new name.md'],
+        ['rename without changes has no hunks', pureRename.hunks.length, 0],
+        ['copy', `${copied.status} ${copied.oldPath} ${copied.similarity}`, 'copied src/text/strings.js 64']
+    ]);
+}
+
+// Test 4: Mode changes and binary files
+function testModesAndBinary() {
+    console.log('\n=== Test 4: Modes and Binary Files ===');
+
+    const files = new DiffParser().parse(renamesDiff);
+    const script = fileAt(files, 'scripts/deploy.sh');
+    const logo = fileAt(files, 'assets/logo.png');
+    const renamed = fileAt(files, 'src/text/strings.js');
+
+    return runChecks([
+        ['mode change', `${script.status} ${script.oldMode} -> ${script.newMode}`, 'modified 100644 -> 100755'],
+        ['mode change has no hunks', script.hunks.length, 0],
+        ['unchanged mode from the index line', `${renamed.oldMode} ${renamed.newMode}`, '100644 100644'],
+        ['binary file', `${logo.binary} ${logo.hunks.length}`, 'true 0'],
+        ['text file is not binary', renamed.binary, false]
+    ]);
+}
+
+// Test 5: "\ No newline at end of file"
+function testNoNewline() {
+    console.log('\n=== Test 5: No Newline at End of File ===');
+
+    const files = new DiffParser().parse(renamesDiff);
+    const renamedLines = fileAt(files, 'src/text/strings.js').hunks[0].lines;
+    const notesLines = fileAt(files, 'docs/café notes.txt').hunks[0].lines;
+
+    return runChecks([
+        ['marker is not a line', renamedLines.length, 6],
+        ['marks the removed line before it', `${renamedLines[4].change} ${renamedLines[4].noNewline}`, 'removed true'],
+        ['added line after it is a normal line', `${renamedLines[5].change} ${renamedLines[5].noNewline}`, 'added false'],
+        ['marker after the last line of a hunk', notesLines[1].noNewline, true],
+        ['other lines unmarked', notesLines[0].noNewline, false]
+    ]);
+}
+
+// Test 6: CRLF line endings
+function testCrlf() {
+    console.log('\n=== Test 6: CRLF Line Endings ===');
+
+    const lf = new DiffParser().parse(renamesDiff);
+    const crlf = new DiffParser().parse(renamesDiff.replace(/\n/g, '\r\n'));
+
+    return runChecks([
+        ['same model as LF', JSON.stringify(crlf), JSON.stringify(lf)],
+        ['no carriage returns in text', crlf[0].hunks[0].lines.some(line => line.text.includes('\r')), false]
+    ]);
+}
+
+// Test 7: Quoted and unusual paths
+function testPaths() {
+    console.log('\n=== Test 7: Paths ===');
+
+    const parser = new DiffParser();
+    const files = parser.parse(renamesDiff);
+
+    return runChecks([
+        ['octal-escaped UTF-8 path', fileAt(files, 'docs/café notes.txt').status, 'modified'],
+        ['trailing tab after a path with spaces', fileAt(files, 'src/with space.c').oldPath, 'src/with space.c'],
+        ['escaped quote', parser.unquotePath('"say \\"hi\\".txt"'), 'say "hi".txt'],
+        ['unquoted path unchanged', parser.unquotePath('plain.txt'), 'plain.txt'],
+        ['plain unified diff without git headers',
+            JSON.stringify(parser.parse('--- a/x.txt\n+++ b/x.txt\n@@ -1 +1 @@\n-a\n+b\n').map(file => file.path)), JSON.stringify(['x.txt'])]
+    ]);
+}
+
+// Test 8: Commits of a patch series
+function testCommits() {
+    console.log('\n=== Test 8: Commits ===');
+
+    const parser = new DiffParser();
+    const commits = parser.parseCommits(pullRequestPatch);
+    const [retry, revert, index] = commits;
+
+    return runChecks([
+        ['commits in series order', commits.map(commit => commit.sha.substring(0, 7)).join(' '), '1a2b3c4 7f8e9d0 c0de5ee'],
+        ['folded subject, prefix removed', retry.subject, 'NET-118: Add retry policy to HttpClient so flaky requests recover'],
+        ['body ends at the diffstat', retry.body.split('\n').pop(), 'Signed-off-by: Mona Lisa <mona@example.com>'],
+        ['revert subject', revert.subject, 'Revert "Keep legacyRetry as a fallback"'],
+        ['encoded subject', index.subject, 'Index symbols for the café search'],
+        ['commit without a body', index.body, ''],
+        ['author', `${retry.author.name} <${retry.author.email}>`, 'Mona Lisa <mona@example.com>'],
+        ['encoded author name', index.author.name, 'Zoë Park'],
+        ['CRLF line endings', JSON.stringify(parser.parseCommits(pullRequestPatch.replace(/\n/g, '\r\n'))), JSON.stringify(commits)],
+        ['base64 encoded word', parser.decodeHeader('=?utf-8?b?Y2Fmw6k=?='), 'café'],
+        ['plain diff has no commits', parser.parseCommits(pullRequestDiff).length, 0]
+    ]);
+}
+
+// Run all tests
+function runDiffTests() {
+    console.log('=== Diff Tests ===');
+
+    const results = {
+        files: testFiles(),
+        hunks: testHunks(),
+        renames: testRenames(),
+        modesAndBinary: testModesAndBinary(),
+        noNewline: testNoNewline(),
+        crlf: testCrlf(),
+        paths: testPaths(),
+        commits: testCommits()
+    };
+
+    console.log('\n=== Test Results ===');
+    Object.entries(results).forEach(([test, passed]) => {
+        console.log(`${test}: ${passed ? '✅ PASS' : '❌ FAIL'}`);
+    });
+
+    const allPassed = Object.values(results).every(result => result);
+    console.log(`\nOverall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+    return allPassed;
+}
+
+if (require.main === module) {
+    process.exitCode = runDiffTests() ? 0 : 1;
+}
+
+module.exports = {
+    testFiles,
+    testHunks,
+    testRenames,
+    testModesAndBinary,
+    testNoNewline,
+    testCrlf,
+    testPaths,
+    testCommits,
+    runDiffTests
+};
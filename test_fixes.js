@@ -12,8 +12,11 @@ function testTrieInsertion() {
     
     const trie = new ACT();
     
-    // Test normal words
-    const normalWords = ['function', 'const', 'let', 'variable', 'test'];
+    // Test normal words, including identifiers longer than the old 100 character cap
+    const longClassPath = 'org.example.platform.services.billing.internal.adapters.persistence.jdbc.InvoiceLineItemRepositoryImpl';
+    const normalWords = ['function', 'const', 'let', 'variable', 'test', longClassPath, longClassPath + '.' + longClassPath,
+        'x'.repeat(200) // no longer too long for the trie
+    ];
     let successCount = 0;
     
     normalWords.forEach(word => {
@@ -30,7 +33,6 @@ function testTrieInsertion() {
     const problematicWords = [
         '', // empty string
         'a', // too short
-        'x'.repeat(200), // too long
         'aaa', // repeated characters
         'test\u0000', // control character
         null,
@@ -107,8 +109,8 @@ function testWordValidation() {
     
     const engine = new AutoCompleteEngine();
     
-    const validWords = ['function', 'test', 'variable', 'example'];
-    const invalidWords = ['', 'a', 'x'.repeat(200), 'aaa', 'test\u0000'];
+    const validWords = ['function', 'test', 'variable', 'example', 'org.example.platform.services.billing.internal.adapters.persistence.jdbc.InvoiceLineItemRepositoryImpl', 'ab'.repeat(100)];
+    const invalidWords = ['', 'a', 'x'.repeat(200) /* repeated characters, within the length cap */, 'ab'.repeat(engine.settings.maxWordLength), 'aaa', 'test\u0000'];
     
     let validCount = 0;
     validWords.forEach(word => {
@@ -42,7 +42,7 @@ function testParserImprovements() {
     }
     
     const parser = new GitHubParser();
-    const words = new Set();
+    const words = new Map(); // word -> occurrence count
     
     // Test text containing various programming patterns
     const testText = `
@@ -103,10 +103,10 @@ function testParserImprovements() {
     
     parser.extractWordsFromText(testText, words);
     
-    console.log('Extracted words:', Array.from(words));
+    console.log('Extracted words:', Array.from(words.keys()));
     
     // Check if expected words were extracted
-    const extractedWords = Array.from(words);
+    const extractedWords = Array.from(words.keys());
     const foundWords = [];
     
     testData.forEach(expected => {
@@ -0,0 +1,886 @@
+// Test script for the GitHub parser's language tokenizers, raw diff extraction, commit messages and collapsed diffs
+// Run with: node test_parser.js
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Vocabulary } = require('./lib/vocabulary.js');
+const { DiffParser } = require('./lib/diff.js');
+const { SelectorProfiles } = require('./lib/selectors.js');
+const { DEFAULT_PACKS } = require('./lib/defaults.js');
+const { StopwordPacks } = require('./lib/stopwords.js');
+
+// The parser is a content script that expects the libraries loaded before it as globals
+global.Vocabulary = Vocabulary;
+global.DiffParser = DiffParser;
+global.SelectorProfiles = SelectorProfiles;
+global.DEFAULT_PACKS = DEFAULT_PACKS;
+global.StopwordPacks = StopwordPacks;
+const { GitHubParser } = require('./lib/parser.js');
+
+console.log('Testing GitHub parser...');
+
+// Run a list of [name, actual, expected] checks under a heading and report each one;
+// arrays and objects are compared by value
+function runChecks(title, checks) {
+    console.log(`\n=== ${title} ===`);
+
+    let passed = true;
+    checks.forEach(([name, actual, expected]) => {
+        const byValue = typeof expected === 'object' && expected !== null;
+        if (byValue ? JSON.stringify(actual) === JSON.stringify(expected) : actual === expected) {
+            console.log(`✅ ${name}`);
+        } else {
+            const show = value => (byValue ? JSON.stringify(value) : value);
+            console.log(`❌ ${name}: expected ${show(expected)}, got ${show(actual)}`);
+            passed = false;
+        }
+    });
+    return passed;
+}
+
+// Tokenize one line and render the tokens as "kind:text" for easy comparison
+function tokenize(parser, path, line, state = { open: null }) {
+    return parser.tokenizeCode(line, parser.getTokenizer(path), state).map(token => `${token.kind}:${token.text}`);
+}
+
+// Test 1: Tokenizer registry
+function testTokenizerRegistry() {
+    const parser = new GitHubParser();
+    const name = path => (parser.getTokenizer(path) || { name: null }).name;
+
+    const checks = [
+        ['TypeScript', name('src/net/client.ts'), 'JavaScript/TypeScript'],
+        ['Python', name('tools/build.py'), 'Python'],
+        ['Go', name('cmd/server/main.go'), 'Go'],
+        ['Rust', name('src/lib.rs'), 'Rust'],
+        ['Java', name('src/main/java/App.java'), 'Java'],
+        ['C++ header, upper case', name('include/Node.HPP'), 'C/C++'],
+        ['unknown extension', name('README.md'), null],
+        ['dotfile without extension', name('config/.gitignore'), null]
+    ];
+
+    return runChecks('Test 1: Tokenizer Registry', checks);
+}
+
+// Test 2: Token kinds per language
+function testTokenKinds() {
+    const parser = new GitHubParser();
+
+    const checks = [
+        ['Rust paths and lifetimes',
+            tokenize(parser, 'lib.rs', "fn parse<'a>(s: &'a str) -> std::io::Result<u8> { 'x' }"),
+            ['keyword:fn', 'identifier:parse', 'identifier:a', 'identifier:s', 'identifier:a', 'identifier:str',
+                'identifier:std', 'identifier:io', 'identifier:Result', 'identifier:u8']],
+        ['Python decorators and comments',
+            tokenize(parser, 'app.py', '@app.route("/users")  # list users'),
+            ['identifier:app', 'identifier:route', 'string:/users', 'comment: list users']],
+        ['Go receivers and raw strings',
+            tokenize(parser, 'main.go', 'func (s *Server) Handle() error { return fmt.Errorf(`bad %d`, 0x1F) }'),
+            ['keyword:func', 'identifier:s', 'identifier:Server', 'identifier:Handle', 'identifier:error',
+                'keyword:return', 'identifier:fmt', 'identifier:Errorf', 'string:bad %d']],
+        ['C++ templates',
+            tokenize(parser, 'tree.cpp', 'std::vector<std::unique_ptr<Node>> nodes;'),
+            ['identifier:std', 'identifier:vector', 'identifier:std', 'identifier:unique_ptr', 'identifier:Node', 'identifier:nodes']],
+        ['Java escapes in literals',
+            tokenize(parser, 'App.java', 'String s = "say \\"hi\\""; char c = \'\\n\';'),
+            ['identifier:String', 'identifier:s', 'string:say \\"hi\\"', 'keyword:char', 'identifier:c']],
+        ['TypeScript template literals',
+            tokenize(parser, 'a.ts', 'const label = `retry ${count}`; // TODO'),
+            ['keyword:const', 'identifier:label', 'string:retry ${count}', 'comment: TODO']]
+    ];
+
+    return runChecks('Test 2: Token Kinds', checks);
+}
+
+// Test 3: Comments and strings spanning lines
+function testMultiLineState() {
+    const parser = new GitHubParser();
+    const cState = { open: null };
+    const pythonState = { open: null };
+
+    const checks = [
+        ['block comment opens', tokenize(parser, 'a.c', 'int x; /* retry', cState), ['keyword:int', 'identifier:x', 'comment: retry']],
+        ['block comment continues', tokenize(parser, 'a.c', 'still a comment', cState), ['comment:still a comment']],
+        ['block comment closes', tokenize(parser, 'a.c', 'done */ int y;', cState), ['comment:done ', 'keyword:int', 'identifier:y']],
+        ['docstring opens', tokenize(parser, 'a.py', 'def f(): """Retry', pythonState), ['keyword:def', 'identifier:f', 'string:Retry']],
+        ['docstring closes', tokenize(parser, 'a.py', 'later""" + retry_count', pythonState), ['string:later', 'identifier:retry_count']]
+    ];
+
+    return runChecks('Test 3: Multi-line Comments and Strings', checks);
+}
+
+// Test 4: Tagged words
+function testTaggedWords() {
+    const parser = new GitHubParser();
+    const words = new Vocabulary();
+    const location = { path: 'src/retry.ts', side: 'right', line: 3, anchor: null };
+    parser.extractWordsFromCode('const retry_policy = computeDelay("fixed backoff"); // cleanup later',
+        words, parser.getTokenizer(location.path), { open: null }, { location, change: 'added' });
+
+    const kinds = word => Array.from(words.getKinds(word)).join(',');
+
+    const checks = [
+        ['keyword', kinds('const'), 'keyword'],
+        ['snake_case identifier kept whole', kinds('retry_policy'), 'identifier'],
+        ['snake_case parts', kinds('policy'), 'identifier'],
+        ['camelCase parts', kinds('Delay'), 'identifier'],
+        ['string contents', kinds('backoff'), 'string'],
+        ['comment contents', kinds('cleanup'), 'comment'],
+        ['location recorded', words.getLocations('retry_policy')[0].line, 3],
+        ['diff change recorded', Array.from(words.getChanges('computeDelay')).join(','), 'added']
+    ];
+
+    return runChecks('Test 4: Tagged Words', checks);
+}
+
+// Saved `.diff` of a PR touching a TypeScript, a deleted JavaScript and a new Python file
+// (the diff parser itself is covered by test_diff.js)
+const diffFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'pull-request.diff'), 'utf8');
+const renamesFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'renames-and-modes.diff'), 'utf8');
+
+// Test 5: Words from a parsed diff
+async function testDiffWords() {
+    const parser = new GitHubParser();
+    const words = new Vocabulary();
+    await parser.extractFromDiff(parser.diffParser.parse(diffFixture), words);
+    await parser.extractFromDiff(parser.diffParser.parse(renamesFixture), words);
+    const renamedAnchor = await parser.hashFileAnchor('src/text/strings.js');
+
+    const changes = word => Array.from(words.getChanges(word)).join(',');
+    const firstLocation = word => {
+        const location = words.getLocations(word)[0];
+        return location ? `${location.path}:${location.side}:${location.line}` : null;
+    };
+
+    const checks = [
+        ['added identifier', changes('RetryPolicy'), 'added'],
+        ['removed identifier', changes('legacyRetry'), 'removed'],
+        ['context identifier', changes('baseUrl'), 'context,removed,added'],
+        ['comment left open on a removed line does not hide added code', Array.from(words.getKinds('withRetry')).join(','), 'identifier'],
+        ['comment spanning added lines', Array.from(words.getKinds('backoff')).join(','), 'comment'],
+        ['Python docstring', Array.from(words.getKinds('symbols')).join(','), 'string'],
+        ['head side location', firstLocation('withRetry'), 'src/net/client.ts:right:43'],
+        ['base side location', firstLocation('decrementAttempts'), 'src/legacy/oldRetry.js:left:2'],
+        ['context line of a renamed file located at the new path', firstLocation('padding'), 'src/text/strings.js:right:10'],
+        ['removed line of a renamed file located at the old path', firstLocation('padLeft'), 'src/util/strings.js:left:13'],
+        ['head side anchor', words.getLocations('withRetry')[0].anchor,
+            'diff-b8e8cb1cbb9e8e16d6ea9d4ff155e85c502189348d509ac8465a8a5a54ed15f5R43'],
+        ['base side anchor of a renamed file uses its diff at the new path', words.getLocations('padLeft')[0].anchor,
+            `${renamedAnchor}L13`],
+        ['context line counted once', words.get('close'), 1]
+    ];
+
+    return runChecks('Test 5: Words From a Diff', checks);
+}
+
+// Test 6: Fetching the diff from a local stub of GitHub
+async function testDiffFetch() {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        if (request.url === '/octo/app/pull/7.diff') {
+            response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end(diffFixture);
+        } else if (request.url === '/octo/app/pull/8.diff') {
+            response.writeHead(200, { 'Content-Type': 'text/html' });
+            response.end('<html><body>Sign in to GitHub</body></html>');
+        } else {
+            response.writeHead(404);
+            response.end('Not Found');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const parser = new GitHubParser();
+        const text = await parser.fetchPRDiff(`${base}/octo/app/pull/7.diff`, 'a'.repeat(40));
+        const again = await parser.fetchPRDiff(`${base}/octo/app/pull/7.diff`, 'a'.repeat(40));
+        const requestsBeforePush = requests.length;
+        const afterPush = await parser.fetchPRDiff(`${base}/octo/app/pull/7.diff`, 'b'.repeat(40));
+        const requestsAfterPush = requests.length;
+        await parser.fetchPRDiff(`${base}/octo/app/pull/7.diff`, null);
+        await parser.fetchPRDiff(`${base}/octo/app/pull/7.diff`, null);
+        const unknownHeadRequests = requests.length - requestsAfterPush;
+
+        const checks = [
+            ['diff downloaded', text, diffFixture],
+            ['same head commit reuses the download', again === text && requestsBeforePush, 1],
+            ['new head commit downloads again', afterPush === text && requestsAfterPush, 2],
+            ['unknown head commit downloads every time', unknownHeadRequests, 2],
+            ['missing diff', await parser.fetchPRDiff(`${base}/octo/app/pull/9.diff`, null), null],
+            ['login page instead of a diff', await parser.fetchPRDiff(`${base}/octo/app/pull/8.diff`, null), null],
+            ['no URL outside a PR', await parser.fetchPRDiff(null, null), null]
+        ];
+
+        return runChecks('Test 6: Diff Fetch', checks);
+    } finally {
+        server.close();
+    }
+}
+
+// Test 7: Top-level declarations of whole files
+function testDeclarations() {
+    const parser = new GitHubParser();
+    const names = (path, lines) =>
+        parser.extractDeclarations(lines.join('\n'), parser.getTokenizer(path)).map(declaration => declaration.name).join(',');
+
+    const checks = [
+        ['TypeScript', names('a.ts', [
+            'import { x } from "./x";',
+            'export async function loadConfig(path: string) {',
+            '    const localOnly = 1;',
+            '}',
+            'export default class ConfigStore {}',
+            'export const DEFAULT_TIMEOUT = 30;',
+            'export interface RetryOptions {}',
+            'type Mode = "a" | "b";',
+            'export { loadConfig as load, helperFn };'
+        ]), 'loadConfig,ConfigStore,DEFAULT_TIMEOUT,RetryOptions,Mode,load,helperFn'],
+        ['Python', names('a.py', [
+            'MAX_RETRIES: int = 3',
+            'def build_index(source_dir):',
+            '    nested_value = 2',
+            '    def inner(): pass',
+            'class SymbolTable:',
+            '    pass',
+            'async def fetch_all(): ...',
+            'if MAX_RETRIES == 3: pass'
+        ]), 'MAX_RETRIES,build_index,SymbolTable,fetch_all'],
+        ['Go', names('a.go', [
+            'func (s *Server) Handle() error {',
+            'type Server struct {',
+            'const (',
+            '\tDefaultPort = 8080',
+            '\tmaxConns int = 10',
+            ')',
+            'func main() {}'
+        ]), 'Handle,Server,DefaultPort,maxConns,main'],
+        ['Rust', names('a.rs', [
+            'pub(crate) async fn fetch_user(id: u64) {}',
+            'pub struct UserCache;',
+            'const MAX_USERS: usize = 10;',
+            'impl UserCache {',
+            '    fn hidden() {}',
+            '}',
+            'macro_rules! retry {'
+        ]), 'fetch_user,UserCache,MAX_USERS,retry'],
+        ['Java', names('A.java', [
+            'public final class RetryPolicy {',
+            '    private static final int MAX_ATTEMPTS = 3;',
+            '    public Duration nextDelay(int attempt) {',
+            '        int localOnly = 1;',
+            '    }',
+            '}'
+        ]), 'RetryPolicy,MAX_ATTEMPTS,nextDelay'],
+        ['C++', names('a.cpp', [
+            '#define BUFFER_SIZE 4096',
+            'struct Node {',
+            'typedef unsigned long node_id;',
+            'static int count_nodes(const Node *root) {',
+            'std::vector<Node> Tree::children(int depth)',
+            'int declared_only(int x);',
+            '    return helper(x);'
+        ]), 'BUFFER_SIZE,Node,node_id,count_nodes,children'],
+        ['comments and strings skipped', names('a.ts', [
+            '/* function commentedOut() {',
+            'function stillComment() {} */',
+            'const text = `',
+            'function insideTemplate() {}',
+            '`;'
+        ]), 'text'],
+        ['unknown language', names('notes.txt', ['function nothing() {}']), '']
+    ];
+
+    return runChecks('Test 7: Declarations', checks);
+}
+
+// Test 8: Declarations of changed files fetched from a local stub of GitHub
+async function testFullFileSymbols() {
+    const sha = 'c'.repeat(40);
+    const files = {
+        [`/octo/app/raw/${sha}/src/net/client.ts`]: [
+            'export function withRetry(fn) {}',
+            'export function retryDelayFor(attempt: number) {}',
+            'export class HttpClient {}'
+        ].join('\n'),
+        [`/octo/app/raw/${sha}/src/big%20file.ts`]: 'export const hugeTable = 1;\n' + '// padding\n'.repeat(100)
+    };
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        if (files[request.url] !== undefined) {
+            response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end(files[request.url]);
+        } else {
+            response.writeHead(404);
+            response.end('Not Found');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const repoUrl = `http://127.0.0.1:${server.address().port}/octo/app`;
+
+    try {
+        const parser = new GitHubParser();
+        parser.maxFileLength = 200;
+        const words = new Vocabulary();
+        words.add('HttpClient', { kind: 'identifier', change: 'added' });
+
+        const paths = ['src/net/client.ts', 'src/big file.ts', 'src/missing.ts', 'README.md'];
+        await parser.extractFromFullFiles(paths, words, sha, repoUrl);
+        const requestCount = requests.length;
+        await parser.extractFromFullFiles(paths, new Vocabulary(), sha, repoUrl);
+
+        // In the extension the background script downloads the file
+        const messages = [];
+        global.chrome = { runtime: { sendMessage: (message, reply) => {
+            messages.push(message);
+            reply(message.url.endsWith('client.ts') ? { success: true, text: 'export class Relayed {}' } : { success: false, error: 'Status 404' });
+        } } };
+        const relayed = await parser.fetchFileText(`${repoUrl}/raw/${sha}/src/net/client.ts`);
+        const missing = await parser.fetchFileText(`${repoUrl}/raw/${sha}/src/missing.ts`);
+        delete global.chrome;
+
+        const location = words.getLocations('retryDelayFor')[0];
+        const checks = [
+            ['declaration outside the hunks added', Array.from(words.getChanges('retryDelayFor')).join(','), 'same-file'],
+            ['tagged as identifier', Array.from(words.getKinds('withRetry')).join(','), 'identifier'],
+            ['head revision location', `${location.path}:${location.side}:${location.line}`, 'src/net/client.ts:right:2'],
+            ['name from the diff keeps its tags', Array.from(words.getChanges('HttpClient')).join(','), 'added'],
+            ['name from the diff not counted again', words.get('HttpClient'), 1],
+            ['file over the size cap skipped', words.has('hugeTable'), false],
+            ['missing file skipped', words.size, 3],
+            ['only known languages fetched', requests.some(url => url.endsWith('README.md')), false],
+            ['fetched once per commit', requests.length, requestCount],
+            ['no head commit, nothing fetched', await parser.extractFromFullFiles(paths, words, null, repoUrl), undefined],
+            ['extension downloads through the background script', relayed, 'export class Relayed {}'],
+            ['size cap sent along', messages[0].action === 'fetchFile' && messages[0].maxLength, 200],
+            ['background failure skips the file', missing, null]
+        ];
+
+        return runChecks('Test 8: Full-File Symbols', checks);
+    } finally {
+        server.close();
+    }
+}
+
+// Test 9: Commit messages from a patch series served by a local stub of GitHub
+async function testCommitWords() {
+    const patchFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'pull-request.patch'), 'utf8');
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        if (request.url === '/octo/app/pull/7.patch') {
+            response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end(patchFixture);
+        } else if (request.url === '/octo/app/pull/7.diff') {
+            response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end(diffFixture);
+        } else {
+            response.writeHead(200, { 'Content-Type': 'text/html' });
+            response.end('<html><body>Sign in to GitHub</body></html>');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const parser = new GitHubParser();
+        const sha = 'd'.repeat(40);
+        const text = await parser.fetchPRPatch(`${base}/octo/app/pull/7.patch`, sha);
+        await parser.fetchPRDiff(`${base}/octo/app/pull/7.diff`, sha);
+        await parser.fetchPRPatch(`${base}/octo/app/pull/7.patch`, sha);
+
+        const words = new Vocabulary();
+        parser.diffParser.parseCommits(text).forEach(commit => parser.extractWordsFromCommit(commit, words));
+        const kinds = word => Array.from(words.getKinds(word)).join(',');
+
+        const checks = [
+            ['patch downloaded', text, patchFixture],
+            ['diff download keeps the patch cached', requests.length, 2],
+            ['login page instead of a patch', await parser.fetchPRPatch(`${base}/octo/app/pull/8.patch`, null), null],
+            ['subject word tagged as commit', kinds('HttpClient'), 'commit'],
+            ['body word', kinds('exponentialBackoff'), 'commit'],
+            ['ticket key kept whole', words.has('NET-118'), true],
+            ['short SHA of each commit', ['1a2b3c4', '7f8e9d0', 'c0de5ee'].every(word => words.has(word)), true],
+            ['short SHA of the reverted commit', words.has('5c0ffee'), true],
+            ['full SHAs left out', Array.from(words.keys()).some(word => word.length === 40), false],
+            ['revert subject', words.has('legacyRetry'), true],
+            ['encoded subject', words.has('café'), true],
+            ['trailers skipped', words.has('Mona'), false],
+            ['no location or change', words.getLocations('flaky').length + words.getChanges('flaky').size, 0]
+        ];
+
+        return runChecks('Test 9: Commit Words', checks);
+    } finally {
+        server.close();
+    }
+}
+
+// Test 10: Links from changed files to their diff
+async function testChangedFileLinks() {
+    const parser = new GitHubParser();
+    parser.selectorProfile = parser.selectorProfiles.get('classic');
+    const page = { querySelectorAll: () => [] }; // No rendered diffs: every anchor is worked out from the path
+    const filesUrl = 'https://github.com/octo/app/pull/7/files';
+    const files = parser.diffParser.parse(diffFixture).map(file => ({ path: file.path, status: file.status }));
+    const linked = await parser.linkChangedFiles(files, page, filesUrl);
+    const client = linked.find(file => file.path === 'src/net/client.ts');
+    const clientLines = parser.getDiffLines(parser.diffParser.parse(diffFixture)[0]);
+    const deleted = { path: 'src/legacy/oldRetry.js', status: 'deleted', lines: { left: new Map(), right: new Map() } };
+    const baseOnly = { path: 'a.ts', status: 'modified', lines: { left: new Map([[50, 'removed']]), right: new Map() } };
+
+    const checks = [
+        ['anchor is the SHA-256 of the path', await parser.hashFileAnchor('src/net/client.ts'),
+            'diff-b8e8cb1cbb9e8e16d6ea9d4ff155e85c502189348d509ac8465a8a5a54ed15f5'],
+        ['every file linked', linked.every(file => file.url && file.url.startsWith(`${filesUrl}#diff-`)), true],
+        ['status kept', client.status, files.find(file => file.path === 'src/net/client.ts').status],
+        ['outside a PR', (await parser.linkChangedFiles(files, page, null))[0].url, null],
+        ['head side of the diff', `${clientLines.right.get(40)} ${clientLines.right.get(38)}`, 'added context'],
+        ['base side of the diff', clientLines.left.get(40), 'removed'],
+        ['line on both sides is read at head', parser.getLineSide({ ...client, lines: clientLines }, 40), 'right'],
+        ['line only the base shows', parser.getLineSide(baseOnly, 50), 'left'],
+        ['line outside the diff', parser.getLineSide(baseOnly, 7), 'right'],
+        ['deleted file', parser.getLineSide(deleted, 2), 'left']
+    ];
+
+    return runChecks('Test 10: Changed File Links', checks);
+}
+
+// Test 11: Compound identifiers and member chains
+function testCompoundWords() {
+    const parser = new GitHubParser();
+    const code = new Vocabulary();
+    parser.extractWordsFromCode('const type = request.headers.get("content-type") || this.config.default_type;',
+        code, parser.getTokenizer('src/net/client.ts'), { open: null });
+    const text = new Vocabulary();
+    parser.extractWordsFromText('Reads request.headers.get first. Set max-width, then workspace_path: café.', text);
+    const kinds = word => Array.from(code.getKinds(word)).join(',');
+
+    const checks = [
+        ['member chain kept whole', kinds('request.headers.get'), 'identifier'],
+        ['leading part of the chain', kinds('request.headers'), 'identifier'],
+        ['chain members', ['request', 'headers', 'get'].every(word => code.has(word)), true],
+        ['chain starting with a keyword', kinds('this.config.default_type'), 'identifier'],
+        ['snake_case member', kinds('default_type'), 'identifier'],
+        ['call arguments not chained', code.has('get.content'), false],
+        ['chain in prose', text.has('request.headers.get') && text.has('request.headers'), true],
+        ['full stop left out', text.has('first.') || text.has('get.Set'), false],
+        ['kebab-case kept whole', text.has('max-width') && text.has('width'), true],
+        ['snake_case before a colon', text.has('workspace_path'), true],
+        ['non-ASCII word', text.has('café'), true]
+    ];
+
+    return runChecks('Test 11: Compound Words', checks);
+}
+
+// Test 12: Stopword packs for prose and code
+function testStopwords() {
+    const parser = new GitHubParser();
+    const extract = () => {
+        const words = new Vocabulary();
+        parser.extractWordsFromText('Die Auswahl ist for the selected rows', words);
+        parser.extractWordsFromCode('for item in self.items: # the first one', words,
+            parser.getTokenizer('app.py'), { open: null });
+        return words;
+    };
+
+    const defaults = extract();
+    const python = [parser.getStopwordPack('app.py')];
+    const selfDemoted = parser.stopwords.isCodeStopword('self', python) && !parser.stopwords.isProseStopword('self');
+    const rust = parser.stopwords.get('rust');
+    const rustEdit = parser.stopwords.diffWords(rust, [...rust.words.filter(word => word !== 'let'), 'unsafe']);
+    parser.stopwords.configure(['en', 'de', 'rust'], { rust: rustEdit });
+    const german = extract();
+
+    const checks = [
+        ['English prose stopword left out', defaults.has('the'), false],
+        ['German pack off by default', defaults.has('Die'), true],
+        ['prose stopword kept as a name in code', Array.from(defaults.getKinds('for')).join(','), 'keyword'],
+        ['code stopword still indexed', Array.from(defaults.getKinds('self')).join(','), 'keyword'],
+        ['code stopword demoted by default', selfDemoted, true],
+        ['code stopwords match as written', parser.stopwords.isCodeStopword('SELF', python), false],
+        ['only in its own language', parser.stopwords.isCodeStopword('self', [parser.getStopwordPack('main.go')]), false],
+        ['unknown language has no pack', parser.getStopwordPack('README.md'), null],
+        ['German pack on', german.has('Die') || german.has('ist'), false],
+        ['only the edits are stored', rustEdit, { added: ['unsafe'], removed: ['let'] }],
+        ['unedited list stores nothing', parser.stopwords.diffWords(rust, rust.words), null],
+        ['edits applied to the bundled words', parser.stopwords.isCodeStopword('unsafe', ['rust']) &&
+            parser.stopwords.isCodeStopword('pub', ['rust']) && !parser.stopwords.isCodeStopword('let', ['rust']), true],
+        ['packs turned off', parser.stopwords.isCodeStopword('self', python), false],
+        ['word list from the options page', parser.stopwords.parseWords(' self,\nlet  self ').join(' '), 'self let']
+    ];
+
+    return runChecks('Test 12: Stopwords', checks);
+}
+
+// Test 13: Identifiers longer than the old 50 character cap
+async function testLongIdentifiers() {
+    const classPath = 'org.example.platform.services.billing.internal.adapters.persistence.jdbc.InvoiceLineItemRepository';
+    const constant = `${'MAXIMUM_RETRY_ATTEMPTS_FOR_'.repeat(5)}UPSTREAM`;
+    const diff = [
+        'diff --git a/src/Billing.java b/src/Billing.java',
+        '--- a/src/Billing.java',
+        '+++ b/src/Billing.java',
+        '@@ -1,1 +1,2 @@',
+        ' package org.example;',
+        `+import ${classPath}; static final int ${constant} = 3;`,
+        ''
+    ].join('\n');
+
+    const parser = new GitHubParser();
+    const words = new Vocabulary();
+    await parser.extractFromDiff(parser.diffParser.parse(diff), words);
+
+    const capped = new GitHubParser();
+    capped.maxWordLength = 100;
+    const cappedWords = new Vocabulary();
+    await capped.extractFromDiff(capped.diffParser.parse(diff), cappedWords);
+
+    const checks = [
+        ['lengths under test', `${classPath.length} ${constant.length}`, '98 143'],
+        ['qualified class name', Array.from(words.getKinds(classPath)).join(','), 'identifier'],
+        ['long constant', Array.from(words.getChanges(constant)).join(','), 'added'],
+        ['cap from the settings', cappedWords.has(classPath) && !cappedWords.has(constant), true]
+    ];
+
+    return runChecks('Test 13: Long Identifiers', checks);
+}
+
+// Just enough of the DOM for the deferred diff and change monitoring code: elements with attributes and
+// text, and selectors made of tag, class, id and attribute parts joined by descendant combinators
+class FakeNode {
+    constructor() {
+        this.parentElement = null;
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(text) {
+        super();
+        this.textContent = text;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(tagName, attributes = {}, children = []) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map(Object.entries(attributes));
+        this.childNodes = [];
+        this.ownerDocument = { createElement: name => new FakeElement(name) };
+        this.append(...children);
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof FakeElement);
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    get previousElementSibling() {
+        const siblings = this.parentElement ? this.parentElement.children : [];
+        return siblings[siblings.indexOf(this) - 1] || null;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => {
+            if (node.parentElement) {
+                node.parentElement.childNodes = node.parentElement.childNodes.filter(child => child !== node);
+            }
+            node.parentElement = this;
+            this.childNodes.push(node);
+        });
+    }
+
+    appendChild(node) {
+        this.append(node);
+        return node;
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    matchesCompound(compound) {
+        const parts = compound.match(/^[\w-]+|\.[\w-]+|#[\w-]+|\[[^\]]+\]/g) || [];
+        return parts.every(part => {
+            if (part[0] === '.') return (this.getAttribute('class') || '').split(/\s+/).includes(part.slice(1));
+            if (part[0] === '#') return this.id === part.slice(1);
+            if (part[0] === '[') {
+                const [, name, value] = part.match(/^\[([\w-]+)(?:="(.*)")?\]$/);
+                return this.hasAttribute(name) && (value === undefined || this.getAttribute(name) === value);
+            }
+            return this.tagName === part.toUpperCase();
+        });
+    }
+
+    matches(selector) {
+        return selector.split(',').some(alternative => {
+            const compounds = alternative.trim().split(/\s+/);
+            if (!this.matchesCompound(compounds.pop())) return false;
+
+            for (let ancestor = this.parentElement; ancestor && compounds.length > 0; ancestor = ancestor.parentElement) {
+                if (ancestor.matchesCompound(compounds[compounds.length - 1])) compounds.pop();
+            }
+            return compounds.length === 0;
+        });
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = element => element.children.forEach(child => {
+            if (child.matches(selector)) found.push(child);
+            visit(child);
+        });
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    closest(selector) {
+        for (let element = this; element; element = element.parentElement) {
+            if (element.matches(selector)) return element;
+        }
+        return null;
+    }
+}
+
+// Build a fake element; strings become text
+function h(tagName, attributes, ...children) {
+    return new FakeElement(tagName, attributes, children.map(child => (typeof child === 'string' ? new FakeText(child) : child)));
+}
+
+// One added line of a classic diff table
+function diffTable(line, code) {
+    return h('table', { class: 'diff-table' }, h('tbody', {}, h('tr', {},
+        h('td', { class: 'blob-num blob-num-addition', 'data-line-number': String(line), id: `diff-0fR${line}` }),
+        h('td', { class: 'blob-code blob-code-addition' }, h('span', { class: 'blob-code-inner' }, code))
+    )));
+}
+
+// Test 14: Collapsed diffs fetched from fragment URLs, with fetch and DOMParser stubbed as in a browser
+async function testDeferredDiffs() {
+    const page = () => h('div', { id: 'files_bucket' },
+        h('div', { class: 'file', 'data-tagsearch-path': 'src/shown.js' }, diffTable(1, 'const shownName = 1;')),
+        h('div', { class: 'file', 'data-tagsearch-path': 'src/big.js' },
+            h('div', { class: 'js-diff-load-container' }, h('include-fragment', { 'data-fragment-url': '/octo/app/diffs/big' }))),
+        h('div', { class: 'file', 'data-tagsearch-path': 'src/broken.js' },
+            h('div', { class: 'js-diff-load-container' }, h('include-fragment', { 'data-fragment-url': '/octo/app/diffs/broken' }))),
+        h('include-fragment', { class: 'js-diff-progressive-loader', src: '/octo/app/diffs/more' })
+    );
+    const fragments = {
+        // A single file's fragment only holds its diff table
+        '/octo/app/diffs/big': () => h('body', {}, diffTable(3, 'const collapsedRetryLimit = 3;')),
+        // A progressive batch repeats a file and a placeholder already fetched, and one the page shows
+        '/octo/app/diffs/more': () => h('body', {},
+            h('div', { class: 'file', 'data-tagsearch-path': 'src/lazy.js' }, diffTable(8, 'let lazyLoadedName;')),
+            h('div', { class: 'file', 'data-tagsearch-path': 'src/big.js' }, diffTable(3, 'const collapsedRetryLimit = 3;')),
+            h('div', { class: 'file', 'data-tagsearch-path': 'src/shown.js' }, diffTable(1, 'const staleShownName = 1;')),
+            h('include-fragment', { class: 'js-diff-progressive-loader', src: '/octo/app/diffs/big' })
+        )
+    };
+
+    const requests = [];
+    const saved = { fetch: global.fetch, DOMParser: global.DOMParser, window: global.window, log: console.log, warn: console.warn };
+    global.window = { location: { href: 'https://github.com/octo/app/pull/7/files', origin: 'https://github.com' } };
+    global.fetch = async url => {
+        const { pathname } = new URL(url);
+        requests.push(pathname);
+        if (pathname === '/octo/app/diffs/offline') throw new Error('Failed to fetch');
+        return fragments[pathname]
+            ? { ok: true, status: 200, text: async () => pathname }
+            : { ok: false, status: 500, text: async () => '' };
+    };
+    global.DOMParser = class {
+        parseFromString(html) {
+            return { body: fragments[html]() };
+        }
+    };
+    console.log = () => {};
+    console.warn = () => {};
+
+    let checks;
+    try {
+        const parser = new GitHubParser();
+        parser.selectorProfile = parser.selectorProfiles.get('classic');
+        let reports = 0;
+        parser.deferredContentListener = () => reports++;
+
+        const container = page();
+        const placeholders = parser.findDeferredDiffs(container);
+        await parser.loadDeferredDiffs(container);
+        const requestsAfterLoad = requests.length;
+        await parser.loadDeferredDiffs(container);
+
+        const words = new Vocabulary();
+        parser.extractFromDeferredDiffs(container, words);
+        const location = words.getLocations('collapsedRetryLimit')[0] || {};
+
+        const react = new GitHubParser();
+        react.selectorProfile = react.selectorProfiles.get('react');
+        await react.loadDeferredDiffs(page());
+
+        checks = [
+            ['placeholders found', placeholders.map(placeholder => placeholder.path),
+                ['src/big.js', 'src/broken.js', null]],
+            ['each fragment fetched once', requests.slice(0, requestsAfterLoad),
+                ['/octo/app/diffs/big', '/octo/app/diffs/broken', '/octo/app/diffs/more']],
+            ['fetched and failed fragments not requested again', requests.length, requestsAfterLoad],
+            ['failed fragment skipped', Array.from(parser.deferredFiles.keys()).sort(), ['src/big.js', 'src/lazy.js', 'src/shown.js']],
+            ['new content reported once', reports, 1],
+            ['collapsed file indexed', `${location.path}:${location.side}:${location.line}`, 'src/big.js:right:3'],
+            ['repeated file counted once', words.get('collapsedRetryLimit'), 1],
+            ['lazily loaded file indexed', Array.from(words.getChanges('lazyLoadedName')), ['added']],
+            ['file the page renders skipped', words.has('staleShownName'), false],
+            ['network error', await parser.fetchDiffFragment('https://github.com/octo/app/diffs/offline'), null],
+            // The React UI loads large files through its own API: they are only indexed from the raw diff
+            ['no placeholders on React pages', react.findDeferredDiffs(page()), []],
+            ['nothing fetched on React pages', react.deferredDiffUrls.size, 0]
+        ];
+    } finally {
+        Object.assign(global, { fetch: saved.fetch, DOMParser: saved.DOMParser, window: saved.window });
+        console.log = saved.log;
+        console.warn = saved.warn;
+    }
+
+    return runChecks('Test 14: Deferred Diffs', checks);
+}
+
+// Test 15: Re-extracting after page changes
+async function testChangeMonitoring() {
+    const suggestions = h('div', { class: 'github-pr-autocomplete-suggestions' }, h('div', { class: 'github-pr-autocomplete-item' }));
+    const filesBucket = h('div', { id: 'files_bucket' }, h('div', { class: 'file', 'data-tagsearch-path': 'src/a.js' }), suggestions);
+    const mutation = (target, addedNodes = []) => ({ target, addedNodes, removedNodes: [] });
+
+    let notify = null;
+    const saved = { MutationObserver: global.MutationObserver, document: global.document, error: console.error };
+    global.MutationObserver = class {
+        constructor(callback) {
+            notify = mutations => callback(mutations, this);
+        }
+        observe() {}
+    };
+    global.document = { body: h('body', {}, filesBucket) };
+    const errors = [];
+    console.error = message => errors.push(message);
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    try {
+        const parser = new GitHubParser();
+        parser.selectorProfile = parser.selectorProfiles.get('classic');
+        parser.changeDelay = 5;
+        let extractions = 0;
+        let failing = false;
+        parser.extractWordsFromPR = async () => {
+            extractions++;
+            if (failing) throw new Error('page went away');
+            return new Vocabulary();
+        };
+        let updates = 0;
+        parser.monitorForChanges(() => updates++);
+
+        notify([mutation(filesBucket.children[0])]);
+        notify([mutation(filesBucket)]);
+        notify([mutation(filesBucket.children[0])]);
+        await settle();
+        const afterBurst = `${extractions} ${updates}`;
+
+        notify([mutation(filesBucket, [suggestions])]);
+        notify([mutation(suggestions, [h('div', { class: 'github-pr-autocomplete-item' })])]);
+        await settle();
+        const afterOwnNodes = extractions;
+
+        failing = true;
+        notify([mutation(filesBucket.children[0])]);
+        parser.reportDeferredContent();
+        await settle();
+
+        const checks = [
+            ['a burst of mutations extracts once', afterBurst, '1 1'],
+            ["the extension's own elements ignored", afterOwnNodes, 1],
+            ['failed extractions logged', errors.length, 2],
+            ['failed extractions not reported', updates, 1]
+        ];
+
+        return runChecks('Test 15: Change Monitoring', checks);
+    } finally {
+        Object.assign(global, { MutationObserver: saved.MutationObserver, document: saved.document });
+        console.error = saved.error;
+    }
+}
+
+// Run all tests
+async function runParserTests() {
+    console.log('=== Parser Tests ===');
+
+    const results = {
+        tokenizerRegistry: testTokenizerRegistry(),
+        tokenKinds: testTokenKinds(),
+        multiLineState: testMultiLineState(),
+        taggedWords: testTaggedWords(),
+        diffWords: await testDiffWords(),
+        diffFetch: await testDiffFetch(),
+        declarations: testDeclarations(),
+        fullFileSymbols: await testFullFileSymbols(),
+        commitWords: await testCommitWords(),
+        changedFileLinks: await testChangedFileLinks(),
+        compoundWords: testCompoundWords(),
+        stopwords: testStopwords(),
+        longIdentifiers: await testLongIdentifiers(),
+        deferredDiffs: await testDeferredDiffs(),
+        changeMonitoring: await testChangeMonitoring()
+    };
+
+    console.log('\n=== Test Results ===');
+    Object.entries(results).forEach(([test, passed]) => {
+        console.log(`${test}: ${passed ? '✅ PASS' : '❌ FAIL'}`);
+    });
+
+    const allPassed = Object.values(results).every(result => result);
+    console.log(`\nOverall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+    return allPassed;
+}
+
+if (require.main === module) {
+    runParserTests().then(allPassed => {
+        process.exitCode = allPassed ? 0 : 1;
+    });
+}
+
+module.exports = {
+    testTokenizerRegistry,
+    testTokenKinds,
+    testMultiLineState,
+    testTaggedWords,
+    testDiffWords,
+    testDiffFetch,
+    testDeclarations,
+    testFullFileSymbols,
+    testCommitWords,
+    testChangedFileLinks,
+    testCompoundWords,
+    testStopwords,
+    testLongIdentifiers,
+    testDeferredDiffs,
+    testChangeMonitoring,
+    runParserTests
+};
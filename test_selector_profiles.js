@@ -0,0 +1,332 @@
+// Test script for the selector profiles against saved PR pages
+// Serve the repository root (e.g. `python3 -m http.server`), open test_extension.html from it
+// and paste this script into the console: the fixtures are fetched from fixtures/
+console.log('Testing selector profiles against saved PR pages...');
+
+// Load a saved page from fixtures/ as a detached document
+async function loadFixture(name) {
+    const response = await fetch(`fixtures/${name}`);
+    if (!response.ok) {
+        throw new Error(`Could not load fixtures/${name}: ${response.status}`);
+    }
+    return new DOMParser().parseFromString(await response.text(), 'text/html');
+}
+
+// Run a list of [name, actual, expected] checks and report each one
+function runProfileChecks(checks) {
+    let passed = true;
+    checks.forEach(([name, actual, expected]) => {
+        if (actual === expected) {
+            console.log(`✅ ${name}`);
+        } else {
+            console.log(`❌ ${name}: expected ${expected}, got ${actual}`);
+            passed = false;
+        }
+    });
+    return passed;
+}
+
+// Extract everything a saved page offers with the profile detected on it
+function extractFromFixture(parser, page) {
+    const profile = parser.detectSelectorProfile(page);
+    const words = new Vocabulary();
+    const container = parser.findFilesContainer(page);
+
+    if (container) {
+        parser.extractFromCodeBlocks(container, words);
+    }
+    parser.extractFromFileNames(words, page);
+    parser.extractFromComments(words, page);
+    parser.extractFromPRMetadata(words, page);
+
+    return { profile, words, container };
+}
+
+// Checks shared by every fixture: both fixtures hold the same PR
+function commonChecks(parser, page, words, container) {
+    const location = word => {
+        const first = words.getLocations(word)[0];
+        return first ? `${first.path}:${first.side}:${first.line}` : null;
+    };
+    const changes = word => Array.from(words.getChanges(word)).join(',');
+    const commentField = page.querySelector(parser.getSelectorProfile().commentFields);
+
+    return [
+        ['files container found', !!container, true],
+        ['added line', location('RetryPolicy'), 'src/net/client.ts:right:42'],
+        ['removed line', changes('send'), 'removed,added'],
+        ['context line', location('baseUrl'), 'src/net/client.ts:right:38'],
+        ['second file', location('build_index'), 'tools/build_index.py:right:1'],
+        ['title', words.has('HttpClient'), true],
+        ['comments', words.has('exponentialBackoff'), true],
+        ['file names', words.has('client'), true],
+        ['comment field', !!commentField, true]
+    ];
+}
+
+// Test 1: Classic server-rendered page
+async function testClassicProfile() {
+    console.log('\n=== Test 1: Classic Profile ===');
+
+    const parser = new GitHubParser();
+    const page = await loadFixture('classic-pr.html');
+    const { profile, words, container } = extractFromFixture(parser, page);
+
+    return runProfileChecks([
+        ['detected', parser.describeSelectorProfile(), `classic v${profile.version}`],
+        ...commonChecks(parser, page, words, container),
+        ['split view side', words.getLocations('source_dir')[0].side, 'right']
+    ]);
+}
+
+// Test 2: React-based page
+async function testReactProfile() {
+    console.log('\n=== Test 2: React Profile ===');
+
+    const parser = new GitHubParser();
+    const page = await loadFixture('react-pr.html');
+    const { profile, words, container } = extractFromFixture(parser, page);
+
+    return runProfileChecks([
+        ['detected', parser.describeSelectorProfile(), `react v${profile.version}`],
+        ...commonChecks(parser, page, words, container),
+        ['classic selectors find nothing', page.querySelector(parser.selectorProfiles.get('classic').detect), null]
+    ]);
+}
+
+// Test 3: Unknown markup is reported
+function testUnknownMarkup() {
+    console.log('\n=== Test 3: Unknown Markup ===');
+
+    const parser = new GitHubParser();
+    const page = new DOMParser().parseFromString('<main><div class="future-diff-view"></div></main>', 'text/html');
+    parser.detectSelectorProfile(page);
+
+    return runProfileChecks([
+        ['reported as unmatched', parser.describeSelectorProfile().startsWith('none matched'), true],
+        ['falls back to classic selectors', parser.getSelectorProfile().name, 'classic']
+    ]);
+}
+
+// Test 4: Commit lists (Commits tab), read when the patch series can't be fetched
+function testCommitLists() {
+    console.log('\n=== Test 4: Commit Lists ===');
+
+    const sha = '1a2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d';
+    const pages = {
+        classic:
+            '<div id="files_bucket"></div><ol><li class="js-commits-list-item">' +
+            `<p class="mb-1"><a class="Link--primary markdown-title" href="/octo/app/pull/7/commits/${sha}">NET-118: Add retry policy</a></p>` +
+            '<div class="commit-desc"><pre>Uses exponentialBackoff</pre></div></li></ol>',
+        react:
+            '<div data-testid="pr-diff-view"></div><ul><li data-testid="commit-row-item">' +
+            `<div data-testid="listview-item-title-container"><h4><a href="/octo/app/pull/7/commits/${sha}">NET-118: Add retry policy</a></h4></div>` +
+            '<div data-testid="commit-row-description">Uses exponentialBackoff</div></li></ul>'
+    };
+
+    return runProfileChecks(Object.entries(pages).flatMap(([name, markup]) => {
+        const parser = new GitHubParser();
+        const page = new DOMParser().parseFromString(markup, 'text/html');
+        parser.detectSelectorProfile(page);
+
+        const [commit] = parser.findCommits(page);
+        const words = new Vocabulary();
+        parser.extractWordsFromCommit(commit, words);
+
+        return [
+            [`${name}: subject`, commit.subject, 'NET-118: Add retry policy'],
+            [`${name}: body`, commit.body, 'Uses exponentialBackoff'],
+            [`${name}: short SHA`, words.has('1a2b3c4'), true],
+            [`${name}: ticket key`, words.has('NET-118'), true]
+        ];
+    }));
+}
+
+// Test 5: PR participants, for @-mentions
+async function testParticipants() {
+    console.log('\n=== Test 5: Participants ===');
+
+    const response = await fetch('fixtures/pull-request.patch');
+    const commits = new DiffParser().parseCommits(await response.text());
+    const checks = [];
+
+    for (const name of ['classic', 'react']) {
+        const parser = new GitHubParser();
+        const page = await loadFixture(`${name}-pr.html`);
+        parser.detectSelectorProfile(page);
+        parser.commits = commits;
+
+        const mentions = new MentionIndex();
+        mentions.setParticipants(parser.extractParticipants(page));
+        const handles = mentions.search('').map(participant => participant.handle).join(' ');
+        const octocat = mentions.get('octocat');
+        const team = mentions.get('octo/net-core');
+        const committer = mentions.get('zoe-dev');
+
+        checks.push(
+            [`${name}: by involvement, signed-in user left out`, handles, 'monalisa octocat octo/net-core zoe-dev'],
+            [`${name}: author and assignee`, Array.from(mentions.get('monalisa').roles.keys()).join(','), 'author,assignee'],
+            [`${name}: reviewer and commenter`, Array.from(octocat.roles.keys()).join(','), 'reviewer,commenter'],
+            [`${name}: avatar from the page`, octocat.avatarUrl, 'https://avatars.example.com/u/583231?s=40'],
+            [`${name}: team reviewer`, `${team.type} ${mentions.getPrimaryRole(team)}`, 'team reviewer'],
+            [`${name}: commit author from a noreply address`, `${committer.displayName} ${mentions.getPrimaryRole(committer)}`, 'Zoë Park committer']
+        );
+    }
+
+    return runProfileChecks(checks);
+}
+
+// Test 6: Issues, PRs and review threads the PR points to, for #-references
+async function testReferences() {
+    console.log('\n=== Test 6: References ===');
+
+    const prInfo = { owner: 'octo', repo: 'app', number: 7 };
+    const checks = [];
+
+    for (const name of ['classic', 'react']) {
+        const parser = new GitHubParser();
+        const page = await loadFixture(`${name}-pr.html`);
+        parser.detectSelectorProfile(page);
+
+        const references = new ReferenceIndex();
+        references.setReferences(parser.extractReferences(page, prInfo));
+        const keys = query => references.search(query).map(reference => reference.key).join(' ');
+        const issue = references.get('#12');
+        const thread = references.get('#discussion_r901');
+        const threadComment = page.querySelectorAll(parser.getSelectorProfile().reviewThread)[0]
+            .querySelector(parser.getSelectorProfile().comments);
+
+        checks.push(
+            [`${name}: most strongly tied first`, keys(''), '#12 octo/lib#45 #5 octo/web#88 #discussion_r901 #discussion_r902'],
+            [`${name}: linked and closing`, Array.from(issue.sources).join(','), 'linked,closing'],
+            [`${name}: title from the sidebar`, issue.title, 'Retries hammer the API on 503'],
+            [`${name}: pull request in the description`, references.get('#5').type, 'pull'],
+            [`${name}: cross-reference from another repository`, references.get('octo/web#88').title, 'Use HttpClient retries in the web app'],
+            [`${name}: by number`, keys('1'), '#12'],
+            [`${name}: by title`, keys('retr'), '#12 octo/web#88'],
+            [`${name}: review thread by path`, keys('build'), '#discussion_r902'],
+            [`${name}: review thread location`, thread.path, 'src/net/client.ts:42'],
+            [`${name}: review thread title`, thread.title, 'Should exponentialBackoff be capped?'],
+            [`${name}: review thread link`, thread.url, `${window.location.origin}/octo/app/pull/7#discussion_r901`],
+            [`${name}: thread being replied to`, parser.getReviewThreadKey(threadComment), '#discussion_r901']
+        );
+    }
+
+    return runProfileChecks(checks);
+}
+
+// Test 7: Links from changed files to their diff
+async function testChangedFileLinks() {
+    console.log('\n=== Test 7: Changed File Links ===');
+
+    const filesUrl = 'https://github.com/octo/app/pull/7/files';
+    const checks = [];
+
+    for (const name of ['classic', 'react']) {
+        const parser = new GitHubParser();
+        const page = await loadFixture(`${name}-pr.html`);
+        parser.detectSelectorProfile(page);
+
+        const [rendered, notRendered] = await parser.linkChangedFiles(
+            [{ path: 'src/net/client.ts', status: 'modified' }, { path: 'docs/retries.md', status: 'added' }],
+            page,
+            filesUrl
+        );
+
+        checks.push(
+            [`${name}: anchor from the page`, rendered.url, `${filesUrl}#diff-4b1a`],
+            [`${name}: anchor from the path`, notRendered.url, `${filesUrl}#diff-dcf17192e463e3fa4b108e66670398bb52e51a106073c57f777ade87f10806cc`]
+        );
+    }
+
+    return runProfileChecks(checks);
+}
+
+// Test 8: Permalinks to lines of changed files
+async function testLinePermalinks() {
+    console.log('\n=== Test 8: Line Permalinks ===');
+
+    const repoUrl = 'https://github.com/octo/app';
+    const head = '3f2a9c1e5b7d4a6f8e0c2b4d6f8a0c2e4b6d8f0a';
+    const base = '9b1d3f5a7c9e1b3d5f7a9c1e3b5d7f9a1c3e5b7d';
+    const checks = [];
+
+    for (const name of ['classic', 'react']) {
+        const parser = new GitHubParser();
+        const page = await loadFixture(`${name}-pr.html`);
+        parser.detectSelectorProfile(page);
+
+        const container = parser.findFilesContainer(page);
+        const fileElement = container.querySelector(parser.getSelectorProfile().file);
+        const client = {
+            path: 'src/net/client.ts',
+            oldPath: 'src/http/client.ts',
+            status: 'renamed',
+            url: 'https://github.com/octo/app/pull/7/files#diff-4b1a',
+            lines: parser.getRenderedLines(fileElement)
+        };
+
+        checks.push(
+            [`${name}: head commit`, parser.getHeadSha(page), head],
+            [`${name}: base commit`, parser.getBaseSha(page), base],
+            [`${name}: rendered lines`, `${client.lines.right.get(42)} ${client.lines.left.get(40)}`, 'added removed'],
+            [`${name}: line at head`, parser.getLinePermalink(client, 42, page, repoUrl), `${repoUrl}/blob/${head}/src/net/client.ts#L42`],
+            [`${name}: line only the base has, at its old path`, parser.getLinePermalink(client, 40, page, repoUrl), `${repoUrl}/blob/${base}/src/http/client.ts#L40`],
+            [`${name}: diff anchor without commits`, parser.getLinePermalink(client, 42, page.createElement('div'), repoUrl), `${client.url}R42`]
+        );
+    }
+
+    return runProfileChecks(checks);
+}
+
+// Run all tests
+async function runSelectorProfileTests() {
+    console.log('=== Selector Profile Tests ===');
+
+    if (typeof GitHubParser === 'undefined' || typeof SelectorProfiles === 'undefined' ||
+        typeof MentionIndex === 'undefined' || typeof ReferenceIndex === 'undefined') {
+        console.log('❌ GitHubParser, SelectorProfiles, MentionIndex or ReferenceIndex not found');
+        return false;
+    }
+
+    const results = {
+        classicProfile: await testClassicProfile(),
+        reactProfile: await testReactProfile(),
+        unknownMarkup: testUnknownMarkup(),
+        commitLists: testCommitLists(),
+        participants: await testParticipants(),
+        references: await testReferences(),
+        changedFileLinks: await testChangedFileLinks(),
+        linePermalinks: await testLinePermalinks()
+    };
+
+    console.log('\n=== Test Results ===');
+    Object.entries(results).forEach(([test, passed]) => {
+        console.log(`${test}: ${passed ? '✅ PASS' : '❌ FAIL'}`);
+    });
+
+    const allPassed = Object.values(results).every(result => result);
+    console.log(`\nOverall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+    return allPassed;
+}
+
+// Run tests when script is loaded
+if (typeof window !== 'undefined') {
+    runSelectorProfileTests();
+}
+
+// Export for use in other contexts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        testClassicProfile,
+        testReactProfile,
+        testUnknownMarkup,
+        testCommitLists,
+        testParticipants,
+        testReferences,
+        testChangedFileLinks,
+        testLinePermalinks,
+        runSelectorProfileTests
+    };
+}
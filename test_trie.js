@@ -0,0 +1,670 @@
+// Test script for the Trie (ACT) data structure
+// Run with: node test_trie.js
+const { ACT } = require('./lib/trie.js');
+const { TrieCache } = require('./lib/cache.js');
+const { AbbreviationIndex } = require('./lib/abbreviation.js');
+const { SubstringIndex } = require('./lib/substring.js');
+const { Vocabulary } = require('./lib/vocabulary.js');
+const { MentionIndex } = require('./lib/mentions.js');
+const { ReferenceIndex } = require('./lib/references.js');
+const { PathIndex } = require('./lib/paths.js');
+const { DiffParser } = require('./lib/diff.js');
+const { SelectorProfiles } = require('./lib/selectors.js');
+const { DEFAULT_PACKS } = require('./lib/defaults.js');
+const { StopwordPacks } = require('./lib/stopwords.js');
+
+// The engine is a content script that expects the libraries loaded before it as globals
+Object.assign(global, {
+    ACT, TrieCache, AbbreviationIndex, SubstringIndex, Vocabulary, MentionIndex, ReferenceIndex, PathIndex,
+    DiffParser, SelectorProfiles, StopwordPacks, DEFAULT_PACKS
+});
+global.GitHubParser = require('./lib/parser.js').GitHubParser;
+const { AutoCompleteEngine } = require('./lib/autocomplete.js');
+
+console.log('Testing Trie data structure...');
+
+// Run a list of [name, actual, expected] checks under a heading and report each one
+function runChecks(title, checks) {
+    console.log(`\n=== ${title} ===`);
+
+    let passed = true;
+    checks.forEach(([name, actual, expected]) => {
+        if (actual === expected) {
+            console.log(`✅ ${name}`);
+        } else {
+            console.log(`❌ ${name}: expected ${expected}, got ${actual}`);
+            passed = false;
+        }
+    });
+    return passed;
+}
+
+// Test 1: Occurrence counts
+function testOccurrenceCounts() {
+    const trie = new ACT();
+    trie.insert('retryPolicy');
+    trie.insert('retryPolicy');
+    trie.insert('retryPolicy', 3);
+    trie.insert('render');
+
+    const checks = [
+        ['retryPolicy', trie.getCount('retryPolicy'), 5],
+        ['render', trie.getCount('render'), 1],
+        ['missing', trie.getCount('missing'), 0],
+        ['prefix only', trie.getCount('retry'), 0]
+    ];
+
+    return runChecks('Test 1: Occurrence Counts', checks);
+}
+
+// Test 2: Original casing is preserved
+function testOriginalCasing() {
+    const trie = new ACT();
+    trie.insert('getUserName');
+    trie.insert('Config');
+    trie.insert('config');
+    trie.insert('config');
+
+    const completions = trie.autoComplete('getu');
+    const configs = trie.autoComplete('CONF').sort();
+
+    const checks = [
+        ['getu -> getUserName', JSON.stringify(completions), JSON.stringify(['getUserName'])],
+        ['Config and config kept apart', JSON.stringify(configs), JSON.stringify(['Config', 'config'])],
+        ['per-spelling count', trie.getCount('config'), 2],
+        ['size counts spellings', trie.size(), 3],
+        ['case-insensitive contains', trie.contains('GETUSERNAME'), true]
+    ];
+
+    return runChecks('Test 2: Original Casing', checks);
+}
+
+// Test 3: Word removal
+function testRemoval() {
+    const trie = new ACT();
+    trie.insert('retry', 2);
+    trie.insert('retryPolicy');
+    trie.insert('Retry');
+
+    const checks = [
+        ['remove missing word', trie.remove('missing'), false],
+        ['remove one occurrence', trie.remove('retry', 1), true],
+        ['count decremented', trie.getCount('retry'), 1],
+        ['remove remaining spelling', trie.remove('retry'), true],
+        ['other spelling kept', JSON.stringify(trie.getSpellings('retry')), JSON.stringify(['Retry'])],
+        ['longer word kept', trie.contains('retryPolicy'), true]
+    ];
+
+    trie.remove('retryPolicy');
+    checks.push(['branch pruned', trie.findNode('retryp'), null]);
+    trie.remove('Retry');
+    checks.push(['trie emptied', trie.root.children.size, 0]);
+
+    return runChecks('Test 3: Word Removal', checks);
+}
+
+// Test 4: Bounded top-K prefix search
+function testTopK() {
+    const trie = new ACT();
+    const counts = {
+        handler: 1, handleRequest: 9, handleResponse: 4, handleError: 4,
+        hand: 2, handlebars: 6, hello: 8, handleErrorCase: 1
+    };
+    Object.entries(counts).forEach(([word, count]) => trie.insert(word, count));
+
+    // Reference ranking: every completion sorted by count, then shorter, then alphabetical
+    const compare = (a, b) => (counts[b] - counts[a]) || (a.length - b.length) || a.localeCompare(b);
+    const expected = JSON.stringify(trie.autoComplete('hand').sort(compare).slice(0, 3));
+    const actual = JSON.stringify(trie.topK('hand', 3));
+
+    // Cached scores must follow removals
+    trie.remove('handleRequest');
+    const afterRemoval = JSON.stringify(trie.topK('hand', 1));
+
+    // A custom scorer re-ranks the whole trie
+    trie.setScorer(word => -word.length);
+    const shortest = JSON.stringify(trie.topK('h', 2));
+
+    return runChecks('Test 4: Top-K Prefix Search', [
+        ["topK('hand', 3)", actual, expected],
+        ['topK after removal', afterRemoval, JSON.stringify(['handlebars'])],
+        ['topK with custom scorer', shortest, JSON.stringify(['hand', 'hello'])],
+        ...engineRankingChecks()
+    ]);
+}
+
+// The engine's bounded candidates must rank exactly like ranking every completion of the prefix,
+// over random words in each removed tokens mode (switching modes rescores the trie)
+function engineRankingChecks() {
+    let seed = 7;
+    const random = limit => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % limit;
+    };
+    const pick = items => items[random(items.length)];
+
+    const words = new Vocabulary();
+    const syllables = ['re', 'ret', 'ry', 'Po', 'li', 'cy', 'han', 'dle', 'Req', 'get', 'set', 'up'];
+    for (let i = 0; i < 400; i++) {
+        let word = '';
+        for (let length = 1 + random(4); length > 0; length--) word += pick(syllables);
+        for (let count = 1 + random(5); count > 0; count--) {
+            words.add(word, { kind: pick(['identifier', 'keyword', 'string', 'comment']), change: pick(['added', 'removed', 'context']) });
+        }
+    }
+
+    // Frequent words that were only removed outrank the rest despite their penalty
+    for (let i = 0; i < 15; i++) {
+        for (let count = 0; count < 200; count++) words.add(`zzRemoved${i}`, { kind: 'identifier', change: 'removed' });
+    }
+    for (let i = 0; i < 12; i++) words.add(`zzKept${i}`, { kind: 'identifier', change: 'context' });
+
+    const engine = new AutoCompleteEngine();
+    engine.debug = false;
+    engine.updateTrie(words);
+
+    const prefixes = ['r', 're', 'Re', 'ret', 'h', 'han', 'g', 'ge', 'upr', 'po', 'zz'];
+    const checks = ['show', 'badge', 'exclude'].map(mode => {
+        const previousSettings = engine.settings;
+        engine.settings = { ...previousSettings, removedTokens: mode };
+        engine.rescoreIfScoringChanged(previousSettings);
+
+        const mismatches = prefixes.filter(prefix => {
+            const bounded = engine.rankSuggestions(engine.getPrefixCandidates(prefix, 10), prefix).slice(0, 10);
+            const full = engine.rankSuggestions(engine.trie.autoComplete(prefix), prefix).slice(0, 10);
+            return JSON.stringify(bounded) !== JSON.stringify(full);
+        });
+        return [`engine ranking matches full enumeration (removedTokens: ${mode})`, mismatches.join(', '), ''];
+    });
+
+    // Still in 'exclude' mode: the excluded words must not use up the K
+    const kept = engine.rankSuggestions(engine.getPrefixCandidates('zz', 10), 'zz').slice(0, 10);
+    checks.push(['exclude mode still fills maxResults', kept.length, 10]);
+
+    // Settings reloaded from storage hold equal copies of the pack list; only a real change rescores
+    let rescores = 0;
+    const rescoreAll = engine.trie.rescoreAll.bind(engine.trie);
+    engine.trie.rescoreAll = () => { rescores++; rescoreAll(); };
+    const previousSettings = engine.settings;
+    engine.settings = { ...previousSettings, stopwordPacks: [...previousSettings.stopwordPacks], stopwordEdits: { ...previousSettings.stopwordEdits } };
+    engine.rescoreIfScoringChanged(previousSettings);
+    const afterCopy = rescores;
+    engine.settings = { ...engine.settings, stopwordPacks: ['en'] };
+    engine.rescoreIfScoringChanged(previousSettings);
+    checks.push(['equal settings copies do not rescore', afterCopy, 0]);
+    checks.push(['changed pack list rescores', rescores, 1]);
+    return checks;
+}
+
+// Test 5: Fuzzy search
+function testFuzzySearch() {
+    const trie = new ACT();
+    ['function', 'functional', 'fun', 'fan', 'retryPolicy', 'getUserName'].forEach(word => trie.insert(word));
+
+    const checks = [
+        ['transposition', trie.fuzzySearch('funciton').includes('function'), true],
+        ['typo keeps original casing', trie.fuzzySearch('retryPolicu').includes('retryPolicy'), true],
+        ['short query allows no edits', JSON.stringify(trie.fuzzySearch('fn')), JSON.stringify([])],
+        ['3-letter query allows one edit', JSON.stringify(trie.fuzzySearch('fin').sort()), JSON.stringify(['fan', 'fun'])],
+        ['distance scales with length', trie.getMaxEditDistance('getUserName'), 2],
+        ['explicit max distance', trie.fuzzySearch('getUsrNme', 1).length, 0]
+    ];
+
+    return runChecks('Test 5: Fuzzy Search', checks);
+}
+
+// Test 6: Serialization and the snapshot cache
+async function testSnapshots() {
+    const trie = new ACT();
+    ['getUserName', 'Config', 'config', 'config', 'retry', 'retryPolicy'].forEach(word => trie.insert(word));
+
+    const snapshot = trie.serialize();
+    const restored = new ACT().deserialize(snapshot);
+
+    // In-memory stand-in for chrome.storage.local
+    const store = {};
+    const storage = {
+        get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+        set: (items, callback) => { Object.assign(store, items); callback(); },
+        remove: (keys, callback) => { [].concat(keys).forEach(key => delete store[key]); callback(); }
+    };
+    const cache = new TrieCache(storage);
+    const prInfo = { owner: 'octo', repo: 'app', number: 7, headSha: 'a'.repeat(40) };
+
+    const words = new Vocabulary();
+    words.add('retryPolicy', { location: { path: 'lib/retry.js', side: 'right', line: 3, anchor: 'diff-1R3' }, kind: 'identifier', change: 'added' });
+    words.add('retryPolicy', { kind: 'comment', change: 'removed' });
+    const tags = Vocabulary.serializeTags(words);
+
+    await cache.save(prInfo, snapshot, tags);
+    const hit = await cache.load(prInfo);
+    const restoredTags = Vocabulary.deserializeTags(hit.tags);
+    const miss = await cache.load({ ...prInfo, headSha: 'b'.repeat(40) });
+
+    const checks = [
+        ['flat array', snapshot.every(item => typeof item !== 'object'), true],
+        ['round trip', JSON.stringify(restored.serialize()), JSON.stringify(snapshot)],
+        ['spellings restored', JSON.stringify(restored.topK('conf', 2)), JSON.stringify(['config', 'Config'])],
+        ['counts restored', restored.getCount('config'), 2],
+        ['cache hit', JSON.stringify(hit.trie), JSON.stringify(snapshot)],
+        ['tags stored as JSON', JSON.stringify(JSON.parse(JSON.stringify(hit.tags))), JSON.stringify(tags)],
+        ['locations restored', JSON.stringify(restoredTags.locations.get('retryPolicy')), JSON.stringify(words.getLocations('retryPolicy'))],
+        ['kinds restored', JSON.stringify([...restoredTags.kinds.get('retryPolicy')]), JSON.stringify(['identifier', 'comment'])],
+        ['changes restored', JSON.stringify([...restoredTags.changes.get('retryPolicy')]), JSON.stringify(['added', 'removed'])],
+        ['new head SHA misses', miss, null],
+        ['stale entry removed', cache.keyFor(prInfo) in store, false],
+        ...await storageErrorChecks(),
+        ...await engineRestoreChecks()
+    ];
+
+    return runChecks('Test 6: Snapshots', checks);
+}
+
+// Storage failures surface through chrome.runtime.lastError, as in the extension
+async function storageErrorChecks() {
+    const store = {};
+    let failure = null;
+    const storage = {
+        get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+        set: (items, callback) => {
+            // Room for two snapshots besides the index
+            const snapshots = Object.keys({ ...store, ...items }).filter(key => key !== 'trieCache:index');
+            if (failure || snapshots.length > 2) {
+                global.chrome.runtime.lastError = { message: failure || 'QUOTA_BYTES quota exceeded' };
+            } else {
+                Object.assign(store, items);
+            }
+            callback();
+            global.chrome.runtime.lastError = undefined;
+        },
+        remove: (keys, callback) => { [].concat(keys).forEach(key => delete store[key]); callback(); }
+    };
+    const cache = new TrieCache(storage);
+    const prInfo = number => ({ owner: 'octo', repo: 'app', number, headSha: 'a'.repeat(40) });
+
+    global.chrome = { runtime: {} };
+    const logged = console.log;
+    console.log = () => {};
+    try {
+        for (const number of [1, 2, 3]) {
+            await cache.save(prInfo(number), [number]);
+        }
+        const keptKeys = Object.keys(store).sort();
+
+        failure = 'IO error';
+        const rejected = await cache.save(prInfo(4), [4]).then(() => 'saved', error => error.message);
+
+        return [
+            ['full storage evicts the oldest snapshot', JSON.stringify(keptKeys),
+                JSON.stringify(['trieCache:index', 'trieCache:octo/app#2', 'trieCache:octo/app#3'])],
+            ['index drops the evicted snapshot', JSON.stringify(store['trieCache:index']),
+                JSON.stringify(['trieCache:octo/app#2', 'trieCache:octo/app#3'])],
+            ['other storage errors reject', rejected, 'IO error']
+        ];
+    } finally {
+        console.log = logged;
+        delete global.chrome;
+    }
+}
+
+// A restored engine scores and labels words as the engine that saved the snapshot did
+async function engineRestoreChecks() {
+    const words = new Vocabulary();
+    words.add('retryPolicy', { location: { path: 'lib/retry.js', side: 'right', line: 3, anchor: 'diff-1R3' }, kind: 'identifier', change: 'added' });
+    words.add('retryCount', { kind: 'comment', change: 'removed' });
+    words.add('retryCount', { kind: 'comment', change: 'removed' });
+    words.add('retries', { kind: 'string', change: 'context' });
+
+    const store = {};
+    const storage = {
+        get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+        set: (items, callback) => { Object.assign(store, JSON.parse(JSON.stringify(items))); callback(); },
+        remove: (keys, callback) => { [].concat(keys).forEach(key => delete store[key]); callback(); }
+    };
+    const prInfo = { owner: 'octo', repo: 'app', number: 7, headSha: 'a'.repeat(40) };
+    const createEngine = () => {
+        const engine = new AutoCompleteEngine();
+        engine.debug = false;
+        engine.cache = new TrieCache(storage);
+        engine.parser.getPRInfo = () => prInfo;
+        engine.settings = { ...engine.settings, removedTokens: 'badge' };
+        return engine;
+    };
+
+    const saved = createEngine();
+    saved.updateTrie(words);
+    saved.saveToCache();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const restored = createEngine();
+    const logged = console.log;
+    console.log = () => {};
+    const hit = await restored.restoreFromCache();
+    console.log = logged;
+
+    return [
+        ['engine restores from cache', hit, true],
+        ['restored ranking', JSON.stringify(restored.trie.topK('ret', 3)), JSON.stringify(saved.trie.topK('ret', 3))],
+        ['restored location', JSON.stringify(restored.getWordLocation('retryPolicy')), JSON.stringify(saved.getWordLocation('retryPolicy'))],
+        ['restored removed-only label', restored.isRemovedOnly('retryCount'), true]
+    ];
+}
+
+// Test 7: Radix compression
+function testRadixCompression() {
+    const trie = new ACT();
+    ['handleRequest', 'handleResponse', 'handler'].forEach(word => trie.insert(word));
+    const grown = trie.estimateMemory().nodes;
+
+    trie.remove('handleResponse');
+    trie.remove('handler');
+    const [onlyChild] = trie.root.children.values();
+
+    const checks = [
+        ['shared prefix stored once', grown, 5],
+        ['constant-time size', trie.size(), 1],
+        ['single chain merged back', onlyChild.data, 'handlerequest'],
+        ['prefix ending inside an edge', JSON.stringify(trie.autoComplete('handleR')), JSON.stringify(['handleRequest'])],
+        ['exact lookup inside an edge', trie.contains('handle'), false]
+    ];
+
+    return runChecks('Test 7: Radix Compression', checks);
+}
+
+// Test 8: Abbreviation matching
+function testAbbreviations() {
+    const index = new AbbreviationIndex();
+    ['getUserName', 'getUserNames', 'indexing_path', 'file-upload-handler', 'HTTPServer2', 'gun', 'groupBy'].forEach(word => index.add(word));
+
+    const checks = [
+        ['gUN -> getUserName', JSON.stringify(index.search('gUN').sort()), JSON.stringify(['getUserName', 'getUserNames'])],
+        ['lowercase initials', index.matches('getUserName', 'gun'), true],
+        ['snake_case', JSON.stringify(index.search('iph')), JSON.stringify(['indexing_path'])],
+        ['kebab-case skips a segment', JSON.stringify(index.search('fh')), JSON.stringify(['file-upload-handler'])],
+        ['acronym segments', JSON.stringify(index.search('hs')), JSON.stringify(['HTTPServer2'])],
+        ['letters must follow segment order', index.matches('getUserName', 'gnu'), false],
+        ['single-segment words not indexed', index.segments.has('gun'), false]
+    ];
+
+    index.remove('getUserNames');
+    checks.push(['removed word no longer matches', JSON.stringify(index.search('gun')), JSON.stringify(['getUserName'])]);
+
+    return runChecks('Test 8: Abbreviation Matching', checks);
+}
+
+// Test 9: Infix and glob search
+function testSubstringSearch() {
+    const index = new SubstringIndex();
+    ['FileUploadHandler', 'errorHandler', 'HandlerRegistry', 'AppConfig', 'getUserById', 'getUserByIds'].forEach(word => index.add(word));
+
+    const checks = [
+        ['infix', JSON.stringify(index.search('handler').sort()), JSON.stringify(['FileUploadHandler', 'HandlerRegistry', 'errorHandler'])],
+        ['short fragment ignored', index.search('ha').length, 0],
+        ['suffix glob', JSON.stringify(index.glob('*Handler').sort()), JSON.stringify(['FileUploadHandler', 'errorHandler'])],
+        ['single-character wildcard', JSON.stringify(index.glob('get*By?d')), JSON.stringify(['getUserById'])],
+        ['case-sensitive glob', JSON.stringify(index.glob('*handler', true)), JSON.stringify([])],
+        ['glob without literal n-gram', JSON.stringify(index.glob('A*')), JSON.stringify(['AppConfig'])]
+    ];
+
+    index.remove('errorHandler');
+    checks.push(['removed word not found', JSON.stringify(index.glob('*Handler')), JSON.stringify(['FileUploadHandler'])]);
+
+    return runChecks('Test 9: Infix and Glob Search', checks);
+}
+
+// Test 10: No depth or length limits
+function testDeepTrie() {
+    // Every prefix of a long key is a word, so the trie is one node deeper per character
+    const depth = 3000;
+    let key = '';
+    for (let i = 0; i < depth; i++) {
+        key += String.fromCharCode(97 + (i * 7) % 26);
+    }
+
+    const trie = new ACT();
+    for (let i = 1; i <= depth; i++) {
+        trie.insert(key.substring(0, i));
+    }
+    const longClassPath = 'org.example.' + 'nested.package.'.repeat(20) + 'VeryLongClassName';
+    trie.insert(longClassPath);
+
+    trie.setScorer(word => word.length);
+    const restored = new ACT().deserialize(trie.serialize());
+
+    const checks = [
+        ['long word kept', trie.contains(longClassPath), true],
+        ['depth', trie.estimateMemory().nodes, depth + 2],
+        ['autoComplete', trie.autoComplete(key.substring(0, depth - 2)).length, 3],
+        ['topK after rescoring', JSON.stringify(trie.topK(key[0], 1)), JSON.stringify([key])],
+        ['fuzzySearch', JSON.stringify(trie.fuzzySearch(key.substring(0, 5) + 'z', 1)), JSON.stringify([key.substring(0, 5), key.substring(0, 6)])],
+        ['round trip', restored.size(), depth + 1]
+    ];
+
+    return runChecks('Test 10: Deep Trie', checks);
+}
+
+// Test 11: Word locations
+function testVocabulary() {
+    const vocabulary = new Vocabulary();
+    const line42 = { path: 'src/net/client.ts', side: 'right', line: 42, anchor: 'diff-abcR42' };
+    vocabulary.add('retryPolicy', { location: line42, kind: 'identifier', change: 'added' });
+    vocabulary.add('retryPolicy', { location: { ...line42 }, kind: 'identifier', change: 'added' });
+    vocabulary.add('retryPolicy', { location: { path: 'src/net/client.ts', side: 'left', line: 40, anchor: 'diff-abcL40' }, kind: 'comment', change: 'removed' });
+    vocabulary.add('retryPolicy');
+    for (let line = 1; line <= 10; line++) {
+        vocabulary.add('config', { location: { path: 'app.ts', side: 'right', line, anchor: null } });
+    }
+
+    const checks = [
+        ['counts every occurrence', vocabulary.get('retryPolicy'), 4],
+        ['same line recorded once', vocabulary.getLocations('retryPolicy').length, 2],
+        ['locations in page order', vocabulary.getLocations('retryPolicy')[0].line, 42],
+        ['token kinds', JSON.stringify([...vocabulary.getKinds('retryPolicy')]), JSON.stringify(['identifier', 'comment'])],
+        ['diff changes', JSON.stringify([...vocabulary.getChanges('retryPolicy')]), JSON.stringify(['added', 'removed'])],
+        ['no diff change without a source', vocabulary.getChanges('config').size, 0],
+        ['locations capped per word', vocabulary.getLocations('config').length, vocabulary.maxLocationsPerWord],
+        ['unknown word', vocabulary.getLocations('missing').length, 0],
+        ['usable as a count Map', JSON.stringify([...new Map(vocabulary)]), JSON.stringify([['retryPolicy', 4], ['config', 10]])]
+    ];
+
+    return runChecks('Test 11: Word Locations', checks);
+}
+
+// Test 12: Mention index
+function testMentionIndex() {
+    const mentions = new MentionIndex();
+    mentions.setParticipants([
+        { handle: 'octocat', role: 'commenter' },
+        { handle: 'octocat', role: 'commenter', displayName: 'The Octocat', avatarUrl: 'https://example.com/octocat.png' },
+        { handle: 'monalisa', role: 'author' },
+        { handle: 'octo/core', type: 'team', role: 'reviewer' },
+        { handle: 'hubot', role: 'committer', displayName: 'Hubot Robot' },
+        { handle: 'OctoDev', role: 'assignee' }
+    ]);
+    const handles = participants => participants.map(participant => participant.handle).join(' ');
+    const octocat = mentions.get('@OctoCat');
+
+    const checks = [
+        ['everyone by involvement', handles(mentions.search('')), 'monalisa octo/core OctoDev hubot octocat'],
+        ['handle prefix, any case', handles(mentions.search('oct')), 'octo/core OctoDev octocat'],
+        ['team by its own name', handles(mentions.search('core')), 'octo/core'],
+        ['display name', handles(mentions.search('robot')), 'hubot'],
+        ['sightings merged', `${octocat.roles.get('commenter')} ${octocat.displayName}`, '2 The Octocat'],
+        ['repeated role adds involvement', mentions.getScore(octocat), mentions.roleWeights.commenter + 1],
+        ['primary role', mentions.getPrimaryRole(mentions.get('monalisa')), 'author'],
+        ['result limit', mentions.search('', 2).length, 2],
+        ['unknown handle', mentions.get('nobody'), null]
+    ];
+
+    return runChecks('Test 12: Mention Index', checks);
+}
+
+// Test 13: Reference index
+function testReferenceIndex() {
+    const references = new ReferenceIndex();
+    references.setReferences([
+        { key: '#12', number: 12, source: 'closing' },
+        { key: '#12', number: 12, title: 'Retries hammer the API', source: 'linked' },
+        { key: '#5', type: 'pull', number: 5, title: 'Add HttpClient', source: 'description' },
+        { key: '#120', number: 120, title: 'Flaky retry test', source: 'timeline' },
+        { key: 'octo/lib#45', number: 45, source: 'description' },
+        { key: '#discussion_r901', type: 'thread', path: 'src/net/client.ts:42', title: 'Cap the backoff?', source: 'thread' }
+    ]);
+    const keys = found => found.map(reference => reference.key).join(' ');
+    const issue = references.get('#12');
+
+    const checks = [
+        ['everything by how strongly it is tied', keys(references.search('')), '#12 octo/lib#45 #5 #120 #discussion_r901'],
+        ['number prefix', keys(references.search('12')), '#12 #120'],
+        ['title word, any case', keys(references.search('RETR')), '#12 #120'],
+        ['thread by path', keys(references.search('client')), '#discussion_r901'],
+        ['other repository by key', keys(references.search('octo')), 'octo/lib#45'],
+        ['sightings merged', `${Array.from(issue.sources).join(',')} ${issue.title}`, 'closing,linked Retries hammer the API'],
+        ['sources add up', references.getScore(issue), references.sourceWeights.closing + references.sourceWeights.linked],
+        ['excluded thread', keys(references.search('', 10, '#discussion_r901')), '#12 octo/lib#45 #5 #120'],
+        ['result limit', references.search('', 2).length, 2],
+        ['unknown key', references.get('#99'), null]
+    ];
+
+    return runChecks('Test 13: Reference Index', checks);
+}
+
+// Test 14: Path index
+function testPathIndex() {
+    const paths = new PathIndex();
+    paths.setFiles([
+        {
+            path: 'src/net/client.ts',
+            status: 'modified',
+            url: 'https://github.com/octo/app/pull/7/files#diff-b8e8',
+            lines: {
+                left: new Map([[39, 'context'], [40, 'removed'], [41, 'removed'], [48, 'removed']]),
+                right: new Map([[39, 'context'], [40, 'added'], [41, 'context']])
+            }
+        },
+        { path: 'src/net/retry.ts', status: 'added' },
+        { path: 'src/index.ts' },
+        { path: 'tools/build_index.py' },
+        { path: 'README.md' }
+    ]);
+    paths.add({ path: 'src/index.ts', status: 'modified' });
+    const complete = (query, matchFileNames = false) =>
+        paths.complete(query, 10, matchFileNames).map(entry => entry.path).join(' ');
+
+    const checks = [
+        ['top level, directories first', complete(''), 'src/ tools/ README.md'],
+        ['one directory down', complete('src/'), 'src/net/ src/index.ts'],
+        ['partial segment, any case', complete('SRC/NE'), 'src/net/'],
+        ['files of a directory', complete('src/net/'), 'src/net/client.ts src/net/retry.ts'],
+        ['unknown directory', complete('lib/'), ''],
+        ['file name anywhere', complete('retry', true), 'src/net/retry.ts'],
+        ['file names only when asked', complete('retry'), ''],
+        ['files counted once', paths.getFileCount('src/'), 3],
+        ['details updated', paths.get('src/index.ts').status, 'modified'],
+        ['size', paths.size, 5],
+        ['file by its name', paths.findFiles('client.ts').map(file => file.path).join(' '), 'src/net/client.ts'],
+        ['file by its last segments, any case', paths.findFiles('NET/Retry.ts').length, 1],
+        ['every file ending in the path', paths.findFiles('index.ts').map(file => file.path).join(' '), 'src/index.ts'],
+        ['partial names are not files', paths.findFiles('ent.ts').length, 0],
+        ['changed lines of both sides', paths.getChangedLines(paths.get('src/net/client.ts')).join(','), '40,48'],
+        ['directories are not files', paths.get('src/net'), null]
+    ];
+
+    return runChecks('Test 14: Path Index', checks);
+}
+
+// Test 15: Code stopwords apply in files of their own language
+function testLanguageStopwords() {
+    const vocabulary = selfPath => {
+        const words = new Vocabulary();
+        const seen = (word, path, line, count = 1) => {
+            for (let i = 0; i < count; i++) {
+                words.add(word, { location: { path, side: 'right', line: line + i, anchor: null }, kind: 'identifier', change: 'added' });
+            }
+        };
+        seen('self', 'cmd/main.go', 1, 2);
+        seen('self', selfPath, 3);
+        seen('selector', 'cmd/main.go', 9);
+        seen('err', 'cmd/main.go', 4);
+        seen('let', 'lib/app.py', 5);
+        seen('def', 'lib/app.py', 6);
+        words.add('return', { kind: 'identifier' });
+        return words;
+    };
+
+    const engine = new AutoCompleteEngine();
+    engine.debug = false;
+    engine.updateTrie(vocabulary('lib/app.py'));
+    const alsoPython = JSON.stringify(engine.trie.topK('sel', 2));
+
+    // Same counts and tags, but the Python line went away: only the moved location changes the score
+    engine.updateTrie(vocabulary('cmd/main.go'));
+    const goOnly = JSON.stringify(engine.trie.topK('sel', 2));
+    const demoted = ['self', 'err', 'let', 'def', 'return'].filter(word => engine.isCodeStopword(word));
+
+    const checks = [
+        ['demoted in their own language only', demoted.join(' '), 'err def'],
+        ['demoted when seen in Python', alsoPython, JSON.stringify(['selector', 'self'])],
+        ["Python's self is a name in Go", goOnly, JSON.stringify(['self', 'selector'])]
+    ];
+
+    return runChecks('Test 15: Language Stopwords', checks);
+}
+
+// Run all tests
+async function runTrieTests() {
+    console.log('=== Trie Tests ===');
+
+    const results = {
+        occurrenceCounts: testOccurrenceCounts(),
+        originalCasing: testOriginalCasing(),
+        removal: testRemoval(),
+        topK: testTopK(),
+        fuzzySearch: testFuzzySearch(),
+        snapshots: await testSnapshots(),
+        radixCompression: testRadixCompression(),
+        abbreviations: testAbbreviations(),
+        substringSearch: testSubstringSearch(),
+        deepTrie: testDeepTrie(),
+        vocabulary: testVocabulary(),
+        mentionIndex: testMentionIndex(),
+        referenceIndex: testReferenceIndex(),
+        pathIndex: testPathIndex(),
+        languageStopwords: testLanguageStopwords()
+    };
+
+    console.log('\n=== Test Results ===');
+    Object.entries(results).forEach(([test, passed]) => {
+        console.log(`${test}: ${passed ? '✅ PASS' : '❌ FAIL'}`);
+    });
+
+    const allPassed = Object.values(results).every(result => result);
+    console.log(`\nOverall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+    return allPassed;
+}
+
+if (require.main === module) {
+    runTrieTests().then(allPassed => {
+        process.exitCode = allPassed ? 0 : 1;
+    });
+}
+
+module.exports = {
+    testOccurrenceCounts,
+    testOriginalCasing,
+    testRemoval,
+    testTopK,
+    testFuzzySearch,
+    testSnapshots,
+    testRadixCompression,
+    testAbbreviations,
+    testSubstringSearch,
+    testDeepTrie,
+    testVocabulary,
+    testMentionIndex,
+    testReferenceIndex,
+    testPathIndex,
+    testLanguageStopwords,
+    runTrieTests
+};